@@ -0,0 +1,466 @@
+/**
+ * Local mock of the HFRAT auth API
+ *
+ * Lets the login flow (passwords, refresh tokens, TOTP two-factor, password
+ * reset and change, admin impersonation) be exercised without the real
+ * backend. Also acts as an OpenID Connect provider under /oidc for testing
+ * single sign-on. No dependencies - run with:
+ *
+ *   npm run mock          # listens on http://localhost:5000
+ *
+ * For SSO set VITE_OIDC_ISSUER=http://localhost:5000/oidc and
+ * VITE_OIDC_CLIENT_ID=hfrat-web; the sign-in page lets you pick any seeded
+ * account without a password.
+ *
+ * For cookie sessions run `MOCK_AUTH_MODE=cookie npm run mock` alongside
+ * VITE_AUTH_MODE=cookie.
+ *
+ * Seeded accounts (src/mock/seed.js, shared with the in-browser mock):
+ *   admin@hfrat.local             Admin123!     2FA enabled, secret JBSWY3DPEHPK3PXP
+ *                                               backup codes 1111-1111, 2222-2222
+ *   reporter@hfrat.local          Reporter123!
+ *   monitor@hfrat.local           Monitor123!
+ *   newstaff@hfrat.local          Welcome123!   must change password on first sign-in
+ *   locked@hfrat.local            Locked123!    locked for 15 minutes after startup
+ *   inactive@hfrat.local          Inactive123!  deactivated
+ *   kampala.reporter@hfrat.local  Reporter123!
+ *
+ * Five failed sign-ins for one email within a minute are answered with 429.
+ * Account states, 2FA and password changes are answered by src/mock/auth.js
+ * and routes are matched by src/mock/matchRoute.js, which the in-browser mock
+ * uses too; change them there.
+ */
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { createSeed } from '../src/mock/seed.js';
+import { createSignInFlow, changePassword, describeUser } from '../src/mock/auth.js';
+import matchRoute from '../src/mock/matchRoute.js';
+
+const PORT = Number(process.env.MOCK_PORT) || 5000;
+const ACCESS_TOKEN_TTL = Number(process.env.MOCK_ACCESS_TTL) || 15 * 60; // seconds
+const COOKIE_MODE = process.env.MOCK_AUTH_MODE === 'cookie';
+const SESSION_COOKIE = 'hfrat_session';
+const REFRESH_COOKIE = 'hfrat_refresh';
+
+const { users, facilities } = createSeed();
+
+const refreshTokens = new Map(); // refresh token -> { userId, impersonatorId }
+const failedLogins = new Map(); // email -> timestamps of recent failures
+const LOGIN_ATTEMPT_LIMIT = 5;
+const LOGIN_ATTEMPT_WINDOW = 60 * 1000;
+const resetTokens = new Map(); // reset token -> { userId, expiresAt, used }
+const RESET_TOKEN_TTL = 30 * 60 * 1000;
+const OIDC_ISSUER = `http://localhost:${PORT}/oidc`;
+const authorizationCodes = new Map(); // code -> { userId, clientId, redirectUri, codeChallenge, nonce }
+const oidcRefreshTokens = new Map(); // refresh token -> { userId, clientId }
+
+// --- Tokens ----------------------------------------------------------------
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+const decodePayload = (token) => {
+    try {
+        return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    } catch {
+        return null;
+    }
+};
+
+const parseCookies = (req) => {
+    return Object.fromEntries(
+        (req.headers.cookie || '').split(';')
+            .map((cookie) => cookie.trim().split('='))
+            .filter(([name, value]) => name && value)
+    );
+};
+
+// Bearer token in token mode, session cookie in cookie mode
+const getRequestToken = (req, cookieName) => {
+    const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+    return bearer || parseCookies(req)[cookieName] || '';
+};
+
+// The CSRF token is bound to the session by living in its (signed, for real) token
+const createAccessToken = (user, impersonator) => {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        sub: String(user.id),
+        email: user.email,
+        role: user.role,
+        csrf: crypto.randomBytes(16).toString('hex'),
+        iat: now,
+        exp: now + ACCESS_TOKEN_TTL,
+    };
+    if (impersonator) payload.impersonator = impersonator.email;
+    return `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(payload)}.mock`;
+};
+
+// An impersonation session belongs to `user` but records the admin behind it
+const issueSession = (user, impersonator = null) => {
+    if (!impersonator) user.last_login_at = new Date().toISOString();
+    const refreshToken = crypto.randomBytes(24).toString('hex');
+    refreshTokens.set(refreshToken, { userId: user.id, impersonatorId: impersonator?.id ?? null });
+    return {
+        access_token: createAccessToken(user, impersonator),
+        refresh_token: refreshToken,
+        role: user.role,
+        facility_id: user.facility_id,
+        two_factor_enabled: !!user.totp_secret,
+    };
+};
+
+// Token mode answers with the token pair; cookie mode sets it as httpOnly
+// cookies instead and sends the session's CSRF token in a header
+const sessionResponse = (user, impersonator = null) => {
+    const session = issueSession(user, impersonator);
+    if (!COOKIE_MODE) return [200, session];
+
+    const { access_token, refresh_token, ...details } = session;
+    return [200, details, {
+        'Set-Cookie': [
+            `${SESSION_COOKIE}=${access_token}; HttpOnly; SameSite=Lax; Path=/`,
+            `${REFRESH_COOKIE}=${refresh_token}; HttpOnly; SameSite=Lax; Path=/api/auth`,
+        ],
+        'X-CSRF-Token': decodePayload(access_token).csrf,
+    }];
+};
+
+const findUserByAccessToken = (req) => {
+    const payload = decodePayload(getRequestToken(req, SESSION_COOKIE));
+    if (!payload || payload.exp * 1000 < Date.now()) return null;
+    return users.find((user) => String(user.id) === payload.sub) || null;
+};
+
+// Requests that need no CSRF token: they start a session or act without one
+const CSRF_EXEMPT_PATHS = [
+    '/api/auth/login',
+    '/api/auth/refresh',
+    '/api/auth/2fa/verify',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password',
+    '/api/auth/required-password-change',
+];
+
+// Cookie-authenticated writes must echo the CSRF token of their session
+const failsCsrfCheck = (req, path) => {
+    const sessionToken = parseCookies(req)[SESSION_COOKIE];
+    if (!COOKIE_MODE || !sessionToken || ['GET', 'HEAD'].includes(req.method) || CSRF_EXEMPT_PATHS.includes(path)) {
+        return false;
+    }
+    return req.headers['x-csrf-token'] !== decodePayload(sessionToken)?.csrf;
+};
+
+// --- OpenID Connect ---------------------------------------------------------
+
+// Access and ID tokens carry the provider's role claim, e.g. "hfrat-reporter"
+const createOidcToken = (user, clientId, extraClaims = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = {
+        iss: OIDC_ISSUER,
+        aud: clientId,
+        sub: String(user.id),
+        email: user.email,
+        roles: [`hfrat-${user.role}`],
+        facility_id: user.facility_id,
+        iat: now,
+        exp: now + ACCESS_TOKEN_TTL,
+        ...extraClaims,
+    };
+    return `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(payload)}.mock`;
+};
+
+const issueOidcTokens = (user, clientId, nonce) => {
+    const refreshToken = crypto.randomBytes(24).toString('hex');
+    oidcRefreshTokens.set(refreshToken, { userId: user.id, clientId });
+    return {
+        token_type: 'Bearer',
+        expires_in: ACCESS_TOKEN_TTL,
+        access_token: createOidcToken(user, clientId),
+        id_token: createOidcToken(user, clientId, nonce ? { nonce } : {}),
+        refresh_token: refreshToken,
+    };
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+// Account picker standing in for the provider's real sign-in page
+const renderSignInPage = (query) => {
+    const hidden = Object.entries(query)
+        .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+        .join('');
+    const buttons = users
+        .map((user) => `<button name="user_id" value="${user.id}">${escapeHtml(user.email)} (${user.role})</button>`)
+        .join('<br>');
+    return `<!doctype html><title>Mock identity provider</title>
+<body style="font-family:sans-serif;max-width:24rem;margin:4rem auto">
+<h1>Mock identity provider</h1><p>Sign in as:</p>
+<form method="post" action="/oidc/authorize">${hidden}${buttons}</form></body>`;
+};
+
+// --- Sign-in steps ---------------------------------------------------------
+
+// Seconds until another sign-in may be tried for this email, or 0
+const loginRetryAfter = (email) => {
+    const recent = (failedLogins.get(email) || []).filter((at) => at > Date.now() - LOGIN_ATTEMPT_WINDOW);
+    failedLogins.set(email, recent);
+    return recent.length >= LOGIN_ATTEMPT_LIMIT ? Math.ceil((recent[0] + LOGIN_ATTEMPT_WINDOW - Date.now()) / 1000) : 0;
+};
+
+const signIn = createSignInFlow(sessionResponse);
+
+const checkResetToken = (token) => {
+    const entry = resetTokens.get(token);
+    if (!entry) return [400, { error: 'Invalid reset link', code: 'TOKEN_INVALID' }];
+    if (entry.used) return [400, { error: 'Reset link already used', code: 'TOKEN_USED' }];
+    if (entry.expiresAt < Date.now()) return [400, { error: 'Reset link expired', code: 'TOKEN_EXPIRED' }];
+    return null;
+};
+
+// --- Routes ----------------------------------------------------------------
+
+const routes = {
+    'POST /api/auth/login': ({ body }) => {
+        const retryAfter = loginRetryAfter(body.email);
+        if (retryAfter) {
+            return [429, { error: 'Too many sign-in attempts', retry_after: retryAfter }, { 'Retry-After': String(retryAfter) }];
+        }
+
+        const user = users.find((u) => u.email === body.email && u.password === body.password);
+        if (!user) {
+            failedLogins.get(body.email).push(Date.now());
+            return [401, { error: 'Invalid email or password' }];
+        }
+
+        return signIn.login(user);
+    },
+
+    'POST /api/auth/required-password-change': ({ body }) => signIn.requiredPasswordChange(users, body),
+
+    'POST /api/auth/refresh': ({ req }) => {
+        const refreshToken = getRequestToken(req, REFRESH_COOKIE);
+        const entry = refreshTokens.get(refreshToken);
+        if (!entry) return [401, { error: 'Invalid refresh token' }];
+
+        // Rotation: every refresh token is single-use
+        refreshTokens.delete(refreshToken);
+        const impersonator = users.find((u) => u.id === entry.impersonatorId) || null;
+        return sessionResponse(users.find((u) => u.id === entry.userId), impersonator);
+    },
+
+    'POST /api/auth/2fa/verify': ({ body }) => signIn.verifySecondFactor(users, body),
+
+    'POST /api/auth/forgot-password': ({ body }) => {
+        const user = users.find((u) => u.email === body.email);
+        if (user) {
+            const token = crypto.randomBytes(16).toString('hex');
+            resetTokens.set(token, { userId: user.id, expiresAt: Date.now() + RESET_TOKEN_TTL, used: false });
+            // Stands in for the email the real backend would send
+            console.log(`Password reset link for ${user.email}: http://localhost:5173/reset-password/${token}`);
+        }
+        return [200, { message: 'If the account exists, a reset link has been sent' }];
+    },
+
+    'GET /api/auth/reset-password/:token': ({ params }) => checkResetToken(params.token) || [200, { valid: true }],
+
+    'POST /api/auth/reset-password': ({ body }) => {
+        const tokenError = checkResetToken(body.token);
+        if (tokenError) return tokenError;
+
+        const entry = resetTokens.get(body.token);
+        entry.used = true;
+        users.find((u) => u.id === entry.userId).password = body.password;
+        return [200, { message: 'Password has been reset' }];
+    },
+
+    'POST /api/auth/logout': ({ req }) => {
+        refreshTokens.delete(getRequestToken(req, REFRESH_COOKIE));
+        return [204, null, {
+            'Set-Cookie': [
+                `${SESSION_COOKIE}=; HttpOnly; SameSite=Lax; Path=/; Max-Age=0`,
+                `${REFRESH_COOKIE}=; HttpOnly; SameSite=Lax; Path=/api/auth; Max-Age=0`,
+            ],
+        }];
+    },
+
+    'GET /api/auth/me': ({ req }) => {
+        const user = findUserByAccessToken(req);
+        if (!user) return [401, { error: 'Unauthorized' }];
+        return describeUser(user, facilities);
+    },
+
+    'POST /api/auth/change-password': ({ req, body }) => {
+        const user = findUserByAccessToken(req);
+        if (!user) return [401, { error: 'Unauthorized' }];
+        return changePassword(user, body);
+    },
+
+    'POST /api/auth/2fa/setup': ({ req }) => {
+        const user = findUserByAccessToken(req);
+        if (!user) return [401, { error: 'Unauthorized' }];
+        return signIn.setupTwoFactor(user);
+    },
+
+    'POST /api/auth/2fa/enable': ({ req, body }) => {
+        const user = findUserByAccessToken(req);
+        if (!user) return [401, { error: 'Unauthorized' }];
+        return signIn.enableTwoFactor(user, body);
+    },
+
+    'GET /api/admin/users': ({ req }) => {
+        const admin = findUserByAccessToken(req);
+        if (admin?.role !== 'admin') return [403, { error: 'Forbidden' }];
+
+        return [200, {
+            users: users.map(({ id, email, role, facility_id, created_at }) => ({ id, email, role, facility_id, created_at })),
+        }];
+    },
+
+    'GET /api/admin/facilities': ({ req }) => {
+        const admin = findUserByAccessToken(req);
+        if (admin?.role !== 'admin') return [403, { error: 'Forbidden' }];
+
+        return [200, { facilities }];
+    },
+
+    'POST /api/admin/users/:id/impersonate': ({ req, params }) => {
+        const admin = findUserByAccessToken(req);
+        if (admin?.role !== 'admin') return [403, { error: 'Forbidden' }];
+
+        const target = users.find((u) => String(u.id) === params.id);
+        if (!target) return [404, { error: 'User not found' }];
+        if (target.role === 'admin') return [403, { error: 'Admin accounts cannot be impersonated' }];
+
+        console.log(`AUDIT ${admin.email} started impersonating ${target.email}`);
+        return sessionResponse(target, admin);
+    },
+
+    'GET /oidc/.well-known/openid-configuration': () => [200, {
+        issuer: OIDC_ISSUER,
+        authorization_endpoint: `${OIDC_ISSUER}/authorize`,
+        token_endpoint: `${OIDC_ISSUER}/token`,
+        response_types_supported: ['code'],
+        grant_types_supported: ['authorization_code', 'refresh_token'],
+        code_challenge_methods_supported: ['S256'],
+        scopes_supported: ['openid', 'profile', 'email'],
+    }],
+
+    'GET /oidc/authorize': ({ query }) => {
+        if (query.response_type !== 'code' || !query.client_id || !query.redirect_uri) {
+            return [400, { error: 'invalid_request' }];
+        }
+        if (query.code_challenge_method !== 'S256' || !query.code_challenge) {
+            return [400, { error: 'invalid_request', error_description: 'PKCE with S256 is required' }];
+        }
+        return [200, renderSignInPage(query)];
+    },
+
+    'POST /oidc/authorize': ({ body }) => {
+        const user = users.find((u) => String(u.id) === body.user_id);
+        const redirect = new URL(body.redirect_uri);
+        if (body.state) redirect.searchParams.set('state', body.state);
+
+        if (!user) {
+            redirect.searchParams.set('error', 'access_denied');
+            return [302, null, { Location: redirect.href }];
+        }
+
+        const code = crypto.randomBytes(16).toString('hex');
+        authorizationCodes.set(code, {
+            userId: user.id,
+            clientId: body.client_id,
+            redirectUri: body.redirect_uri,
+            codeChallenge: body.code_challenge,
+            nonce: body.nonce,
+        });
+        redirect.searchParams.set('code', code);
+        return [302, null, { Location: redirect.href }];
+    },
+
+    'POST /oidc/token': ({ body }) => {
+        if (body.grant_type === 'refresh_token') {
+            const entry = oidcRefreshTokens.get(body.refresh_token);
+            if (!entry || entry.clientId !== body.client_id) return [400, { error: 'invalid_grant' }];
+
+            oidcRefreshTokens.delete(body.refresh_token);
+            return [200, issueOidcTokens(users.find((u) => u.id === entry.userId), entry.clientId)];
+        }
+
+        if (body.grant_type !== 'authorization_code') return [400, { error: 'unsupported_grant_type' }];
+
+        // Codes are single-use, whether or not the exchange succeeds
+        const entry = authorizationCodes.get(body.code);
+        authorizationCodes.delete(body.code);
+        const challenge = crypto.createHash('sha256').update(body.code_verifier || '').digest('base64url');
+        if (!entry || entry.clientId !== body.client_id || entry.redirectUri !== body.redirect_uri || entry.codeChallenge !== challenge) {
+            return [400, { error: 'invalid_grant' }];
+        }
+
+        return [200, issueOidcTokens(users.find((u) => u.id === entry.userId), entry.clientId, entry.nonce)];
+    },
+};
+
+// --- Server ----------------------------------------------------------------
+
+// JSON bodies from the app, form bodies from the OIDC token and sign-in forms
+const readBody = (req) => new Promise((resolve) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => {
+        if ((req.headers['content-type'] || '').startsWith('application/x-www-form-urlencoded')) {
+            resolve(Object.fromEntries(new URLSearchParams(data)));
+            return;
+        }
+        try {
+            resolve(data ? JSON.parse(data) : {});
+        } catch {
+            resolve({});
+        }
+    });
+});
+
+const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Impersonated-By, X-CSRF-Token');
+    res.setHeader('Access-Control-Expose-Headers', 'X-CSRF-Token, Retry-After');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204).end();
+        return;
+    }
+
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const path = url.pathname;
+    const match = matchRoute(routes, req.method, path);
+    const body = await readBody(req);
+    // Handlers return [status, payload, headers?]; a string payload is HTML
+    let [status, payload, headers = {}] = [404, { error: `No mock for ${req.method} ${path}` }];
+    if (failsCsrfCheck(req, path)) {
+        [status, payload, headers] = [403, { error: 'Invalid CSRF token' }, {}];
+    } else if (match) {
+        [status, payload, headers = {}] = await match.handler({ req, params: match.params, query: Object.fromEntries(url.searchParams), body });
+    }
+
+    // Hand the CSRF token of a cookie session back on every response, so the
+    // app can recover it after a reload
+    const sessionPayload = COOKIE_MODE && decodePayload(parseCookies(req)[SESSION_COOKIE] || '');
+    if (sessionPayload && !headers['X-CSRF-Token']) {
+        headers['X-CSRF-Token'] = sessionPayload.csrf;
+    }
+
+    // Requests made during impersonation name the admin behind them
+    const impersonator = req.headers['x-impersonated-by'];
+    console.log(`${req.method} ${path} -> ${status}${impersonator ? ` (impersonated by ${impersonator})` : ''}`);
+    if (payload === null) {
+        res.writeHead(status, headers).end();
+    } else if (typeof payload === 'string') {
+        res.writeHead(status, { 'Content-Type': 'text/html', ...headers }).end(payload);
+    } else {
+        res.writeHead(status, { 'Content-Type': 'application/json', ...headers }).end(JSON.stringify(payload));
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`HFRAT mock API listening on http://localhost:${PORT}/api`);
+});
@@ -1,104 +1,122 @@
-import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { Suspense } from 'react';
+import { BrowserRouter, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './auth/AuthContext';
+import { PUBLIC_ROUTES, PROTECTED_ROUTES, getRoleHome } from './routes';
 import ProtectedRoute from './components/ProtectedRoute';
 import Navbar from './components/Navbar';
-import Login from './pages/Login';
-import Facilities from './pages/admin/Facilities';
-import Users from './pages/admin/Users';
-import ReportForm from './pages/reporter/ReportForm';
-import Dashboard from './pages/monitor/Dashboard';
+import Breadcrumbs from './components/Breadcrumbs';
+import ImpersonationBanner from './components/ImpersonationBanner';
+import ConnectivityBanner from './components/ConnectivityBanner';
+import UpdatePrompt from './components/UpdatePrompt';
+import SessionTimeoutModal from './components/SessionTimeoutModal';
+import ErrorBoundary from './components/ErrorBoundary';
+import { ToastProvider } from './notifications/ToastProvider';
+
+// Shown while a page's code is loading
+const PageLoader = () => {
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="text-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
+        <p className="mt-4 text-gray-600">Loading...</p>
+      </div>
+    </div>
+  );
+};
 
 // Layout wrapper for authenticated pages
 const AuthenticatedLayout = ({ children }) => {
+  const location = useLocation();
+
   return (
     <div className="min-h-screen bg-gray-50">
+      <ImpersonationBanner />
       <Navbar />
-      <main>{children}</main>
+      <Breadcrumbs />
+      <main>
+        {/* Keeps the navbar in place while the page's code loads, or if it crashes.
+            Every protected route shares this layout, so the key starts each
+            page with a fresh boundary instead of the last page's crash. */}
+        <ErrorBoundary key={location.pathname}>
+          <Suspense fallback={<PageLoader />}>{children}</Suspense>
+        </ErrorBoundary>
+      </main>
+      <SessionTimeoutModal />
     </div>
   );
 };
 
 // Home redirect based on role
 const HomeRedirect = () => {
-  const { role, isAuthenticated } = useAuth();
+  const { role, isAuthenticated, loading } = useAuth();
+
+  // Wait until the session has been verified
+  if (loading) {
+    return <PageLoader />;
+  }
 
   if (!isAuthenticated()) {
     return <Navigate to="/login" replace />;
   }
 
-  switch (role?.toUpperCase()) {
-    case 'ADMIN':
-      return <Navigate to="/admin/facilities" replace />;
-    case 'REPORTER':
-      return <Navigate to="/report" replace />;
-    case 'MONITOR':
-      return <Navigate to="/dashboard" replace />;
-    default:
-      return <Navigate to="/login" replace />;
-  }
+  return <Navigate to={getRoleHome(role)} replace />;
 };
 
 function App() {
   return (
     <BrowserRouter>
-      <AuthProvider>
-        <Routes>
-          {/* Public route - Login */}
-          <Route path="/login" element={<Login />} />
-
-          {/* Home route - redirect based on role */}
-          <Route path="/" element={<HomeRedirect />} />
-
-          {/* Admin routes */}
-          <Route
-            path="/admin/facilities"
-            element={
-              <ProtectedRoute allowedRoles={['ADMIN']}>
-                <AuthenticatedLayout>
-                  <Facilities />
-                </AuthenticatedLayout>
-              </ProtectedRoute>
-            }
-          />
-          <Route
-            path="/admin/users"
-            element={
-              <ProtectedRoute allowedRoles={['ADMIN']}>
-                <AuthenticatedLayout>
-                  <Users />
-                </AuthenticatedLayout>
-              </ProtectedRoute>
-            }
-          />
+      <ToastProvider>
+        <AuthProvider>
+          {/* Offline / server unreachable notice - on every page, signed in or not */}
+          <ConnectivityBanner />
+          {/* New build deployed - offer to reload onto it */}
+          <UpdatePrompt />
+          <Suspense fallback={<PageLoader />}>
+            <Routes>
+              {/* Public routes - Login, password recovery and the SSO callback */}
+              {PUBLIC_ROUTES.map((route) => {
+                const Page = route.component;
+                return (
+                  <Route
+                    key={route.path}
+                    path={route.path}
+                    element={
+                      // Keyed so a crash on one public page does not follow to the next
+                      <ErrorBoundary key={route.path}>
+                        <Page />
+                      </ErrorBoundary>
+                    }
+                  />
+                );
+              })}
 
-          {/* Reporter route */}
-          <Route
-            path="/report"
-            element={
-              <ProtectedRoute allowedRoles={['REPORTER', 'ADMIN']}>
-                <AuthenticatedLayout>
-                  <ReportForm />
-                </AuthenticatedLayout>
-              </ProtectedRoute>
-            }
-          />
+              {/* Home route - redirect based on role */}
+              <Route path="/" element={<HomeRedirect />} />
 
-          {/* Monitor route */}
-          <Route
-            path="/dashboard"
-            element={
-              <ProtectedRoute allowedRoles={['MONITOR', 'ADMIN']}>
-                <AuthenticatedLayout>
-                  <Dashboard />
-                </AuthenticatedLayout>
-              </ProtectedRoute>
-            }
-          />
+              {/* Protected routes - generated from the route manifest */}
+              {PROTECTED_ROUTES.map((route) => {
+                const Page = route.component;
+                return (
+                  <Route
+                    key={route.path}
+                    path={route.path}
+                    element={
+                      <ProtectedRoute permission={route.permission} skipTwoFactorCheck={route.skipTwoFactorCheck}>
+                        <AuthenticatedLayout>
+                          <Page />
+                        </AuthenticatedLayout>
+                      </ProtectedRoute>
+                    }
+                  />
+                );
+              })}
 
-          {/* 404 - Redirect to home */}
-          <Route path="*" element={<Navigate to="/" replace />} />
-        </Routes>
-      </AuthProvider>
+              {/* 404 - Redirect to home */}
+              <Route path="*" element={<Navigate to="/" replace />} />
+            </Routes>
+          </Suspense>
+        </AuthProvider>
+      </ToastProvider>
     </BrowserRouter>
   );
 }
@@ -0,0 +1,65 @@
+import api from './axios';
+
+// Sign-in, session and credential endpoints under /auth
+export const authApi = {
+    // Resolves to the login step: tokens, a 2FA challenge or a password change
+    login: async (credentials) => {
+        const response = await api.post('/auth/login', credentials);
+        return response.data;
+    },
+
+    verifyTwoFactor: async (payload) => {
+        const response = await api.post('/auth/2fa/verify', payload);
+        return response.data;
+    },
+
+    completeRequiredPasswordChange: async (changeToken, newPassword) => {
+        const response = await api.post('/auth/required-password-change', {
+            change_token: changeToken,
+            new_password: newPassword,
+        });
+        return response.data;
+    },
+
+    // Extra request config, e.g. skipLogoutRedirect, is passed through to axios
+    getMe: async (config) => {
+        const response = await api.get('/auth/me', config);
+        return response.data;
+    },
+
+    logout: async () => {
+        await api.post('/auth/logout', null, { skipLogoutRedirect: true });
+    },
+
+    changePassword: async (currentPassword, newPassword) => {
+        await api.post('/auth/change-password', {
+            current_password: currentPassword,
+            new_password: newPassword,
+        });
+    },
+
+    requestPasswordReset: async (email) => {
+        await api.post('/auth/forgot-password', { email });
+    },
+
+    // Rejects with TOKEN_INVALID / TOKEN_EXPIRED / TOKEN_USED when the link is unusable
+    checkResetToken: async (token) => {
+        await api.get(`/auth/reset-password/${encodeURIComponent(token)}`);
+    },
+
+    resetPassword: async (token, password) => {
+        await api.post('/auth/reset-password', { token, password });
+    },
+
+    // Resolves to { secret, otpauth_url } for a new authenticator enrolment
+    setupTwoFactor: async () => {
+        const response = await api.post('/auth/2fa/setup');
+        return response.data;
+    },
+
+    // Resolves to the one-time backup codes
+    enableTwoFactor: async (code) => {
+        const response = await api.post('/auth/2fa/enable', { code });
+        return response.data.backup_codes || [];
+    },
+};
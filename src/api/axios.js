@@ -1,35 +1,80 @@
 import axios from 'axios';
+import {
+    getAccessToken,
+    getRefreshToken,
+    setTokens,
+    clearTokens,
+    TOKEN_REFRESHED_EVENT,
+} from '../auth/tokenStorage';
+import { SESSION_EVENTS, broadcastSessionEvent } from '../auth/sessionSync';
+import { buildLoginUrl } from '../auth/redirects';
+import { getImpersonator, clearImpersonator, IMPERSONATION_HEADER } from '../auth/impersonation';
+import { isSsoToken, refreshSsoTokens } from '../auth/oidc';
+import { isCookieMode, getCsrfToken, setCsrfToken, CSRF_HEADER } from '../auth/authMode';
+import { getConfig } from '../config';
+import { reportApiReachable, setReachabilityProbe, getConnectivity } from './connectivity';
+import { trackEvent, scrubPath } from '../telemetry';
 
 /**
  * API Configuration
- * 
- * IMPORTANT: Vite embeds environment variables at build time, not runtime.
- * If you change VITE_API_URL in .env, you MUST restart the Vite dev server
- * for the new value to take effect. This is because Vite statically replaces
- * import.meta.env.* references during the build/dev compilation step.
- * 
- * The /api prefix is appended automatically here so that .env only needs
+ *
+ * The backend URL comes from the runtime config (config.json, falling back to
+ * VITE_API_URL at build time - see src/config.js). It is read per request so
+ * the instance can be created before config.json has loaded.
+ *
+ * The /api prefix is appended automatically here so the config only needs
  * the base backend URL (e.g., http://localhost:5000)
  */
-const API_BASE = import.meta.env.VITE_API_URL || 'http://localhost:5000';
-const baseURL = `${API_BASE}/api`;
+const apiBaseURL = () => `${getConfig().apiUrl}/api`;
 
 // Create axios instance with base configuration
 const api = axios.create({
-    baseURL,
     headers: {
         'Content-Type': 'application/json',
     },
     timeout: 10000, // 10 second timeout for requests
 });
 
-// Request interceptor - attach JWT token to all requests
+// While an admin is impersonating, name them on every request (including
+// token refreshes) so the backend can audit who actually made it
+const impersonationHeaders = () => {
+    const impersonator = getImpersonator();
+    return impersonator ? { [IMPERSONATION_HEADER]: impersonator.user.email } : {};
+};
+
+// Methods that change state and so must carry the CSRF token in cookie mode
+const CSRF_METHODS = ['post', 'put', 'patch', 'delete'];
+
+const csrfHeaders = (method) => {
+    const csrfToken = getCsrfToken();
+    return csrfToken && CSRF_METHODS.includes(method?.toLowerCase()) ? { [CSRF_HEADER]: csrfToken } : {};
+};
+
+// Remember the CSRF token whenever the backend sends a new one
+const captureCsrfToken = (response) => {
+    const csrfToken = response?.headers?.[CSRF_HEADER.toLowerCase()];
+    if (csrfToken) {
+        setCsrfToken(csrfToken);
+    }
+};
+
+// Request interceptor - attach JWT token (or CSRF token in cookie mode) to all requests
 api.interceptors.request.use(
     (config) => {
-        const token = localStorage.getItem('access_token');
-        if (token) {
-            config.headers.Authorization = `Bearer ${token}`;
+        config.baseURL = apiBaseURL();
+        // Kept across retries and token refreshes, so latency covers them all
+        config._startedAt ??= performance.now();
+        // Cookie mode: the browser attaches the httpOnly session cookie
+        config.withCredentials = isCookieMode();
+        if (isCookieMode()) {
+            Object.assign(config.headers, csrfHeaders(config.method));
+        } else {
+            const token = getAccessToken();
+            if (token) {
+                config.headers.Authorization = `Bearer ${token}`;
+            }
         }
+        Object.assign(config.headers, impersonationHeaders());
         return config;
     },
     (error) => {
@@ -37,20 +82,253 @@ api.interceptors.request.use(
     }
 );
 
-// Response interceptor - handle 401 errors
+// Automatic retries for reads that failed on the way, e.g. a dropped packet on
+// a poor connection. Only idempotent methods are retried; a POST might have
+// reached the server before the connection broke. Set `retry: false` in a
+// request's config to opt out.
+const RETRY_METHODS = ['get', 'head', 'options'];
+const RETRY_STATUSES = [408, 429, 502, 503, 504];
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500;
+const RETRY_MAX_DELAY = 8000;
+
+const shouldRetry = (error) => {
+    const config = error.config;
+    if (!config || config.retry === false || config.signal?.aborted || axios.isCancel(error)) return false;
+    // Offline it would only fail again. Fail now so the page can show what it
+    // has; queries refetch by themselves once the connection is back.
+    if (!getConnectivity().online) return false;
+    if (!RETRY_METHODS.includes((config.method || 'get').toLowerCase())) return false;
+    if ((config._retryCount || 0) >= MAX_RETRIES) return false;
+    // No response at all: offline, timed out or the connection dropped
+    return !error.response || RETRY_STATUSES.includes(error.response.status);
+};
+
+// Exponential backoff with full jitter, so clients that failed together do
+// not all come back at the same moment. A Retry-After header wins.
+const getRetryDelay = (attempt, response) => {
+    const retryAfter = Number(response?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, RETRY_MAX_DELAY * 4);
+    }
+    return Math.random() * Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt);
+};
+
+// Wait `delay` ms, or reject as soon as the request is aborted
+const waitForRetry = (delay, config) => new Promise((resolve, reject) => {
+    const { signal } = config;
+    const onAbort = () => {
+        clearTimeout(timer);
+        reject(new axios.CanceledError(undefined, config));
+    };
+    const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const retryRequest = async (config, response) => {
+    config._retryCount = (config._retryCount || 0) + 1;
+    await waitForRetry(getRetryDelay(config._retryCount, response), config);
+    return api(config);
+};
+
+// Any HTTP answer, even a 404, means the API can be reached
+setReachabilityProbe(() => axios.get(`${apiBaseURL()}/`, { timeout: 5000, validateStatus: () => true }));
+
+// Endpoints whose 401 means "bad credentials", not "access token expired"
+const AUTH_ENDPOINTS = [
+    '/auth/login',
+    '/auth/refresh',
+    '/auth/2fa/verify',
+    '/auth/forgot-password',
+    '/auth/reset-password',
+    '/auth/required-password-change',
+];
+
+// Shared promise for the refresh currently in flight. Every request that hits
+// a 401 while it is pending waits on the same promise instead of starting
+// its own refresh, so a rotated refresh token is only ever spent once.
+let refreshPromise = null;
+
+// Held while refreshing, so two tabs that hit a 401 together do not both
+// spend the same refresh token
+const REFRESH_LOCK = 'hfrat-token-refresh';
+
+const NO_REFRESH_TOKEN = 'NO_REFRESH_TOKEN';
+
+// True when the session cannot be renewed: there is no refresh token, or the
+// backend or identity provider turned it down. A refresh that failed on the
+// way - offline, timed out, a 5xx - says nothing about the session.
+export const isRefreshRejected = (error) => {
+    if (error?.code === NO_REFRESH_TOKEN) return true;
+    const status = error?.response?.status;
+    // Identity providers answer a spent or revoked refresh token with invalid_grant
+    return status === 401 || status === 403 || error?.response?.data?.error === 'invalid_grant';
+};
+
+// Exchange the refresh token for a new pair - at the identity provider for
+// SSO sessions, otherwise at the backend
+const requestTokenRefresh = async (refreshToken) => {
+    if (isSsoToken(getAccessToken())) {
+        return refreshSsoTokens(refreshToken);
+    }
+
+    // Cookie mode: the refresh cookie goes along by itself and the backend
+    // answers with new cookies rather than tokens
+    if (isCookieMode()) {
+        const response = await axios.post(`${apiBaseURL()}/auth/refresh`, null, {
+            withCredentials: true,
+            headers: { ...csrfHeaders('post'), ...impersonationHeaders() },
+            timeout: 10000,
+        });
+        captureCsrfToken(response);
+        return response.data;
+    }
+
+    const response = await axios.post(`${apiBaseURL()}/auth/refresh`, null, {
+        headers: { Authorization: `Bearer ${refreshToken}`, ...impersonationHeaders() },
+        timeout: 10000,
+    });
+    return response.data;
+};
+
+// Runs inside the lock. `staleRefreshToken` is the one this tab saw when it
+// asked; if storage holds a different one by now, another tab has already
+// refreshed and its new pair is used as is.
+const refreshTokens = async (staleRefreshToken) => {
+    const refreshToken = getRefreshToken();
+    if (refreshToken && staleRefreshToken && refreshToken !== staleRefreshToken) {
+        return getAccessToken();
+    }
+    if (!refreshToken && !isCookieMode()) {
+        throw Object.assign(new Error('No refresh token available'), { code: NO_REFRESH_TOKEN });
+    }
+
+    const { access_token, refresh_token } = await requestTokenRefresh(refreshToken);
+    if (!access_token) {
+        return null;
+    }
+    setTokens(access_token, refresh_token);
+    window.dispatchEvent(
+        new CustomEvent(TOKEN_REFRESHED_EVENT, { detail: { accessToken: access_token } })
+    );
+    return access_token;
+};
+
+export const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        const staleRefreshToken = getRefreshToken();
+        const run = () => refreshTokens(staleRefreshToken);
+
+        refreshPromise = (navigator.locks ? navigator.locks.request(REFRESH_LOCK, run) : run())
+            .catch((error) => {
+                // Without Web Locks another tab may still have rotated the
+                // refresh token first - its new pair is in storage, so use that
+                const currentRefreshToken = getRefreshToken();
+                if (currentRefreshToken && currentRefreshToken !== staleRefreshToken) {
+                    return getAccessToken();
+                }
+                throw error;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+// Clear stored auth data and send the user back to the login page. The
+// current page travels along so the user can return to it after signing in.
+const forceLogout = () => {
+    clearTokens();
+    clearImpersonator();
+    localStorage.removeItem('user');
+    localStorage.removeItem('role');
+    broadcastSessionEvent(SESSION_EVENTS.LOGOUT);
+
+    window.location.href = buildLoginUrl();
+};
+
+// Response interceptor - refresh the access token on 401 and retry once.
+// Requests sent with `skipLogoutRedirect: true` (the startup session check)
+// get the 401 back instead of a redirect to the login page.
 api.interceptors.response.use(
-    (response) => response,
-    (error) => {
-        if (error.response?.status === 401) {
-            // Clear stored auth data
-            localStorage.removeItem('access_token');
-            localStorage.removeItem('user');
+    (response) => {
+        captureCsrfToken(response);
+        reportApiReachable(true);
+        return response;
+    },
+    async (error) => {
+        const originalRequest = error.config;
+        captureCsrfToken(error.response);
 
-            // Redirect to login page
-            window.location.href = '/login';
+        if (error.response) {
+            reportApiReachable(true);
+        } else if (navigator.onLine && !axios.isCancel(error)) {
+            // Offline is reported by the browser; this is the API itself
+            reportApiReachable(false);
+        }
+
+        if (shouldRetry(error)) {
+            return retryRequest(originalRequest, error.response);
+        }
+
+        if (error.response?.status !== 401 || !originalRequest) {
+            return Promise.reject(error);
+        }
+
+        // Wrong credentials on the login form must reach the form itself
+        if (AUTH_ENDPOINTS.some((endpoint) => originalRequest.url?.startsWith(endpoint))) {
+            return Promise.reject(error);
+        }
+
+        // The retried request was rejected too - the session is really gone
+        if (originalRequest._retry) {
+            if (!originalRequest.skipLogoutRedirect) forceLogout();
+            return Promise.reject(error);
+        }
+
+        try {
+            const accessToken = await refreshAccessToken();
+            originalRequest._retry = true;
+            if (accessToken) {
+                originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+            }
+            return api(originalRequest);
+        } catch (refreshError) {
+            console.error('Token refresh failed:', refreshError);
+            if (!isRefreshRejected(refreshError)) {
+                // Keep the session; the caller gets the connection or server
+                // error, which it can retry, rather than the 401
+                return Promise.reject(refreshError);
+            }
+            if (!originalRequest.skipLogoutRedirect) forceLogout();
+            return Promise.reject(error);
         }
-        return Promise.reject(error);
     }
 );
 
+// Report requests that still failed after retries and token refresh. Runs
+// after the interceptor above, so it sees the final outcome; a 401 is left
+// out as the session handling already deals with it, and so is a request
+// the page aborted.
+api.interceptors.response.use(undefined, (error) => {
+    const config = error.config;
+    if (config && !error._tracked && !axios.isCancel(error) && error.response?.status !== 401) {
+        // The same error passes through again for each retry or refresh that wrapped it
+        error._tracked = true;
+        trackEvent('api_error', {
+            method: config.method?.toUpperCase(),
+            route: scrubPath(config.url),
+            status: error.response?.status ?? 0,
+            code: error.code,
+            latency: Math.round(performance.now() - (config._startedAt ?? performance.now())),
+            retries: config._retryCount || 0,
+        });
+    }
+    return Promise.reject(error);
+});
+
 export default api;
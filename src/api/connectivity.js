@@ -0,0 +1,92 @@
+/**
+ * Connectivity
+ *
+ * Tracks two things: whether the browser thinks it is online, and whether the
+ * API answered the last request that reached for it. The axios interceptors
+ * report the second; while the API is unreachable a lightweight probe keeps
+ * checking so the app notices when it comes back even if no page is asking.
+ *
+ * Callers registered with onReconnect run when both are good again, which is
+ * how failed queries pick their work back up.
+ */
+
+// How often to probe the API while it is unreachable
+const PROBE_INTERVAL = 15 * 1000;
+
+let state = {
+    online: typeof navigator === 'undefined' ? true : navigator.onLine,
+    apiReachable: true,
+};
+const listeners = new Set();
+const reconnectListeners = new Set();
+let probe = null;
+let probeTimer = null;
+
+export const isConnected = (snapshot = state) => snapshot.online && snapshot.apiReachable;
+
+export const getConnectivity = () => state;
+
+export const subscribeToConnectivity = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// Run `callback` each time connectivity is restored
+export const onReconnect = (callback) => {
+    reconnectListeners.add(callback);
+    return () => reconnectListeners.delete(callback);
+};
+
+const stopProbing = () => {
+    clearInterval(probeTimer);
+    probeTimer = null;
+};
+
+const runProbe = () => {
+    if (!probe || !state.online) return;
+    probe()
+        .then(() => reportApiReachable(true))
+        .catch(() => {});
+};
+
+const startProbing = () => {
+    if (probeTimer || !probe) return;
+    probeTimer = setInterval(runProbe, PROBE_INTERVAL);
+};
+
+const updateState = (patch) => {
+    const wasConnected = isConnected();
+    state = { ...state, ...patch };
+    listeners.forEach((listener) => listener());
+
+    if (state.apiReachable) {
+        stopProbing();
+    } else {
+        startProbing();
+    }
+
+    if (!wasConnected && isConnected()) {
+        reconnectListeners.forEach((callback) => callback());
+    }
+};
+
+// Called by the axios interceptors after every response or network failure
+export const reportApiReachable = (reachable) => {
+    if (state.apiReachable !== reachable) {
+        updateState({ apiReachable: reachable });
+    }
+};
+
+// `check` resolves when the API answers at all and rejects when it cannot be reached
+export const setReachabilityProbe = (check) => {
+    probe = check;
+};
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => {
+        updateState({ online: true });
+        // Don't wait for the next probe to find out the API is back too
+        if (!state.apiReachable) runProbe();
+    });
+    window.addEventListener('offline', () => updateState({ online: false }));
+}
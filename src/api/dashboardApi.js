@@ -0,0 +1,11 @@
+import api from './axios';
+import { parseList, DASHBOARD_FACILITY_SCHEMA } from './schemas';
+
+// Aggregated views for monitors
+export const dashboardApi = {
+    // Every facility with its latest report
+    getFacilities: async (config) => {
+        const response = await api.get('/monitor/dashboard', config);
+        return parseList('/monitor/dashboard', response.data.facilities, DASHBOARD_FACILITY_SCHEMA);
+    },
+};
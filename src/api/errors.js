@@ -0,0 +1,74 @@
+import axios from 'axios';
+
+/**
+ * Error normalization
+ *
+ * Turns anything thrown by an API call into the one shape pages render:
+ *
+ *   message     - text for the page's error banner
+ *   fieldErrors - { field: message } from a validation response, or null
+ *   status      - HTTP status, or 0 when no response arrived
+ *   retryable   - true when the same request may succeed if sent again
+ *   code        - the backend's machine-readable error code, if any
+ *
+ * `statusMessages` lets a caller word specific statuses for its own context,
+ * e.g. { 401: 'Invalid email or password' } on the login form.
+ */
+export const NETWORK_ERROR_MESSAGE = 'Cannot connect to server. Please check your connection and try again.';
+
+// Statuses worth retrying: timeouts, rate limits and server-side failures
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+const STATUS_MESSAGES = {
+    403: 'You do not have permission to do that.',
+    404: 'The requested item could not be found.',
+    408: 'The server took too long to respond. Please try again.',
+    429: 'Too many requests. Please wait a moment and try again.',
+};
+
+const SERVER_ERROR_MESSAGE = 'The server ran into a problem. Please try again shortly.';
+
+export const normalizeError = (error, fallbackMessage = 'Something went wrong. Please try again.', statusMessages = {}) => {
+    const response = error?.response;
+
+    // Request never got an answer: offline, backend down, CORS or timeout
+    if (error?.isAxiosError && !response) {
+        const timedOut = error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
+        return {
+            message: timedOut ? STATUS_MESSAGES[408] : NETWORK_ERROR_MESSAGE,
+            fieldErrors: null,
+            status: 0,
+            retryable: true,
+            code: null,
+        };
+    }
+
+    // Not an HTTP error at all, e.g. a bug in the calling code
+    if (!response) {
+        return { message: fallbackMessage, fieldErrors: null, status: 0, retryable: false, code: null };
+    }
+
+    const { status } = response;
+    const data = response.data && typeof response.data === 'object' ? response.data : {};
+    const fieldErrors = data.errors && typeof data.errors === 'object' && Object.keys(data.errors).length > 0
+        ? data.errors
+        : null;
+
+    // The backend's own wording wins; otherwise describe the status, and
+    // leave client errors without a known meaning to the caller's fallback
+    const serverMessage = typeof data.error === 'string' ? data.error : data.message;
+    const statusMessage = statusMessages[status]
+        || (status >= 500 ? SERVER_ERROR_MESSAGE : STATUS_MESSAGES[status]);
+
+    return {
+        message: serverMessage || statusMessage || fallbackMessage,
+        fieldErrors,
+        status,
+        retryable: RETRYABLE_STATUSES.includes(status),
+        code: data.code || null,
+    };
+};
+
+// True for a request aborted on purpose (page left, or a newer request took
+// over). Nothing failed, so there is nothing to show or log.
+export const isCancelled = (error) => axios.isCancel(error);
@@ -0,0 +1,16 @@
+import api from './axios';
+import { parseList, parseRecord, FACILITY_SCHEMA } from './schemas';
+
+// Health facilities managed from the admin area
+export const facilitiesApi = {
+    list: async (config) => {
+        const response = await api.get('/admin/facilities', config);
+        return parseList('/admin/facilities', response.data.facilities, FACILITY_SCHEMA);
+    },
+
+    // Resolves to the created facility
+    create: async (facility) => {
+        const response = await api.post('/admin/facilities', facility);
+        return parseRecord('/admin/facilities', response.data.facility, FACILITY_SCHEMA);
+    },
+};
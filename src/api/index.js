@@ -0,0 +1,31 @@
+/**
+ * API service layer
+ *
+ * Pages talk to the backend through these resource modules rather than
+ * calling the axios instance with raw paths, and turn failures into a
+ * displayable shape with normalizeError. useQuery serves their results from
+ * a shared cache; mutations update or invalidate the affected keys.
+ *
+ * Reads take an optional axios config as their last argument, so callers can
+ * pass `{ signal }` to abort a request they no longer need.
+ */
+export { authApi } from './authApi';
+export { facilitiesApi } from './facilitiesApi';
+export { usersApi } from './usersApi';
+export { reportsApi } from './reportsApi';
+export { dashboardApi } from './dashboardApi';
+export { normalizeError, isCancelled } from './errors';
+export { isInvalidRecord, ResponseFormatError } from './schemas';
+export { default as useQuery } from './useQuery';
+export { QUERY_KEYS } from './queryKeys';
+export { setQueryData, invalidateQueries, clearQueryCache } from './queryCache';
+export { default as usePendingReports } from './usePendingReports';
+export {
+    submitReport,
+    createSubmissionId,
+    queueReport,
+    isQueueableFailure,
+    syncPendingReports,
+    discardQueuedReport,
+    setReportQueueOwner,
+} from './reportQueue';
@@ -0,0 +1,167 @@
+import { onReconnect } from './connectivity';
+import { isCancelled } from './errors';
+
+/**
+ * Query cache
+ *
+ * Keeps API responses in memory by key so pages can render what they fetched
+ * last time immediately and refresh it in the background (stale-while-
+ * revalidate). Concurrent requests for the same key share one promise.
+ *
+ * Keys are slash-separated strings, e.g. "facilities" or "reports/me";
+ * invalidating a key also invalidates everything below it.
+ *
+ * Fetchers are called with `{ signal }` and should hand it to axios. A request
+ * is aborted when the last page showing its key unmounts, or when a forced
+ * refetch supersedes it.
+ */
+
+// How long a result counts as fresh before a mount or focus refetches it
+export const DEFAULT_STALE_TIME = 30 * 1000;
+
+const EMPTY_STATE = { data: undefined, error: null, updatedAt: 0, isFetching: false };
+
+// key -> { state, promise, controller, fetcher, listeners }
+const cache = new Map();
+
+const getEntry = (key) => {
+    if (!cache.has(key)) {
+        cache.set(key, { state: EMPTY_STATE, promise: null, controller: null, fetcher: null, listeners: new Set() });
+    }
+    return cache.get(key);
+};
+
+// State objects are replaced, never mutated, so hooks can compare snapshots
+const updateState = (entry, patch) => {
+    entry.state = { ...entry.state, ...patch };
+    entry.listeners.forEach((listener) => listener());
+};
+
+const matchesKey = (key, prefix) => key === prefix || key.startsWith(`${prefix}/`);
+
+// Background refetches have no caller to report to; the page sees `error`
+const logFailure = (key) => (error) => {
+    if (!isCancelled(error)) console.error(`Error fetching ${key}:`, error);
+};
+
+// Abort the request in flight for `entry`, leaving its data as it was
+const cancelEntry = (entry) => {
+    if (!entry.promise) return;
+    entry.controller.abort();
+    entry.promise = null;
+    entry.controller = null;
+    updateState(entry, { isFetching: false });
+};
+
+export const getQueryState = (key) => cache.get(key)?.state ?? EMPTY_STATE;
+
+export const subscribeToQuery = (key, listener) => {
+    const entry = getEntry(key);
+    entry.listeners.add(listener);
+    return () => {
+        entry.listeners.delete(listener);
+        // Nobody is left to show the result. Wait a tick so a page that
+        // remounts straight away (StrictMode, a key change) keeps the request.
+        setTimeout(() => {
+            if (entry.listeners.size === 0) cancelEntry(entry);
+        }, 0);
+    };
+};
+
+// Fetch now, joining a request already in flight for the same key. With
+// `force`, that request is aborted and a new one started instead, for when
+// its answer may predate a change.
+export const fetchQuery = (key, fetcher, { force = false } = {}) => {
+    const entry = getEntry(key);
+    entry.fetcher = fetcher;
+    if (entry.promise && !force) {
+        return entry.promise;
+    }
+    cancelEntry(entry);
+
+    const controller = new AbortController();
+    updateState(entry, { isFetching: true });
+    const request = fetcher({ signal: controller.signal }).then(
+        (data) => {
+            // Dropped by clearQueryCache or superseded while in flight
+            if (entry.promise !== request) return data;
+            entry.promise = null;
+            entry.controller = null;
+            updateState(entry, { data, error: null, updatedAt: Date.now(), isFetching: false });
+            return data;
+        },
+        (error) => {
+            if (entry.promise === request) {
+                entry.promise = null;
+                entry.controller = null;
+                updateState(entry, { error, isFetching: false });
+            }
+            throw error;
+        }
+    );
+    entry.promise = request;
+    entry.controller = controller;
+    return request;
+};
+
+// Refetch only if the cached result is older than `staleTime`. Failures are
+// kept in the entry's state rather than thrown.
+export const revalidateQuery = (key, fetcher, staleTime = DEFAULT_STALE_TIME) => {
+    const { updatedAt } = getQueryState(key);
+    if (updatedAt && Date.now() - updatedAt < staleTime) {
+        return;
+    }
+    fetchQuery(key, fetcher).catch(logFailure(key));
+};
+
+// Replace cached data after a mutation, e.g. append a created record.
+// `updater` may be a value or a function of the current data.
+export const setQueryData = (key, updater) => {
+    const entry = getEntry(key);
+    const data = typeof updater === 'function' ? updater(entry.state.data) : updater;
+    updateState(entry, { data, error: null, updatedAt: Date.now() });
+};
+
+// Mark matching entries stale; the ones a mounted page is showing refetch now
+export const invalidateQueries = (prefix) => {
+    cache.forEach((entry, key) => {
+        if (!matchesKey(key, prefix)) return;
+        updateState(entry, { updatedAt: 0 });
+        if (entry.listeners.size > 0 && entry.fetcher) {
+            fetchQuery(key, entry.fetcher, { force: true }).catch(logFailure(key));
+        } else {
+            cancelEntry(entry);
+        }
+    });
+};
+
+// Forget everything, e.g. when the signed-in user changes
+export const clearQueryCache = () => {
+    cache.forEach((entry) => {
+        entry.controller?.abort();
+        entry.promise = null;
+        entry.controller = null;
+        updateState(entry, EMPTY_STATE);
+    });
+};
+
+// Refresh whatever is on screen and out of date; failed loads are retried
+// regardless of age
+const revalidateMountedQueries = () => {
+    cache.forEach((entry, key) => {
+        if (entry.listeners.size === 0 || !entry.fetcher) return;
+        if (entry.state.error) {
+            fetchQuery(key, entry.fetcher).catch(logFailure(key));
+        } else {
+            revalidateQuery(key, entry.fetcher);
+        }
+    });
+};
+
+// Coming back to the tab, or back online, picks up where the page left off
+onReconnect(revalidateMountedQueries);
+if (typeof document !== 'undefined') {
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') revalidateMountedQueries();
+    });
+}
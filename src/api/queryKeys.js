@@ -0,0 +1,7 @@
+// Query cache keys for each resource; see queryCache.js
+export const QUERY_KEYS = {
+    FACILITIES: 'facilities',
+    USERS: 'users',
+    DASHBOARD: 'dashboard',
+    ACCOUNT: 'auth/me',
+};
@@ -0,0 +1,205 @@
+import { reportsApi } from './reportsApi';
+import { normalizeError } from './errors';
+import { onReconnect, isConnected } from './connectivity';
+import { invalidateQueries } from './queryCache';
+import { QUERY_KEYS } from './queryKeys';
+
+/**
+ * Offline report queue
+ *
+ * A capacity report that cannot be sent - the device is offline, or the
+ * request failed on the way - is kept in IndexedDB instead of being lost, and
+ * sent in the background once the connection is back.
+ *
+ * Each entry keeps the time it was captured, which goes to the backend as
+ * `captured_at` so a report synced hours later is still dated correctly. Its
+ * id goes along as the `Idempotency-Key` header: if a send reached the server
+ * but the answer never came back, the retry is recognised as the same report
+ * rather than counted twice. Entries are sent oldest first, one sync at a
+ * time across all tabs, and only while the account that captured them is
+ * signed in.
+ *
+ * Entry: { id, owner, report, capturedAt, attempts, error, failed }
+ * `failed` marks one the backend rejected outright (e.g. a validation error);
+ * it stays listed until discarded instead of being retried forever. An entry
+ * turned away for the session (401, 403) stays pending and goes out once the
+ * account has signed in again.
+ */
+const DB_NAME = 'hfrat-offline';
+const STORE_NAME = 'pending-reports';
+const SYNC_LOCK = 'hfrat-report-sync';
+
+let dbPromise = null;
+let owner = null;
+let syncPromise = null;
+let snapshot = { entries: [], syncing: false, lastSyncedAt: 0 };
+const listeners = new Set();
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Let a later call try again, e.g. after a blocked upgrade
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+};
+
+// Run `operation` against the store and resolve with its result once the
+// transaction has committed
+const withStore = async (mode, operation) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+const readEntries = async () => {
+    const entries = await withStore('readonly', (store) => store.getAll());
+    return entries
+        .filter((entry) => entry.owner === owner)
+        .sort((a, b) => a.capturedAt.localeCompare(b.capturedAt));
+};
+
+const updateSnapshot = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+};
+
+const refreshSnapshot = async () => {
+    try {
+        updateSnapshot({ entries: owner ? await readEntries() : [] });
+    } catch (error) {
+        console.error('Error reading queued reports:', error);
+    }
+};
+
+export const getPendingReports = () => snapshot;
+
+export const subscribeToPendingReports = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// A random id for one submission. crypto.randomUUID only exists on HTTPS and
+// localhost; an on-prem server on plain HTTP still has getRandomValues.
+export const createSubmissionId = () => {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const sendReport = (report, { id, capturedAt }) => reportsApi.submit(
+    { ...report, captured_at: capturedAt },
+    { headers: { 'Idempotency-Key': id } }
+);
+
+// Send one report now. Use the same `id` and `capturedAt` for every attempt
+// at one submission, so the backend applies it only once. The cached
+// dashboard is out of date once it has gone through.
+export const submitReport = async (report, submission) => {
+    const saved = await sendReport(report, submission);
+    invalidateQueries(QUERY_KEYS.DASHBOARD);
+    return saved;
+};
+
+// A failure worth retrying later, rather than a rejection of the report itself
+export const isQueueableFailure = (error) => normalizeError(error).retryable;
+
+// Keep a report that could not be sent. `id` and `capturedAt` should be the
+// ones already used for the failed attempt, if there was one.
+export const queueReport = async (report, { id = createSubmissionId(), capturedAt = new Date().toISOString() } = {}) => {
+    const entry = { id, owner, report, capturedAt, attempts: 0, error: null, failed: false };
+    await withStore('readwrite', (store) => store.put(entry));
+    await refreshSnapshot();
+    return entry;
+};
+
+export const discardQueuedReport = async (id) => {
+    await withStore('readwrite', (store) => store.delete(id));
+    await refreshSnapshot();
+};
+
+// A 4xx that is about the report itself rather than the session or the timing
+const isReportRejected = (status) => status >= 400 && status < 500 && ![401, 403, 408].includes(status);
+
+const sendQueuedReports = async () => {
+    const entries = await readEntries();
+    let sent = 0;
+
+    for (const entry of entries) {
+        if (entry.failed) continue;
+        try {
+            await sendReport(entry.report, entry);
+            await withStore('readwrite', (store) => store.delete(entry.id));
+            sent += 1;
+        } catch (error) {
+            const { message, status } = normalizeError(error, 'Failed to send report.');
+            const failed = isReportRejected(status);
+            const updated = { ...entry, attempts: entry.attempts + 1, error: message, failed };
+            await withStore('readwrite', (store) => store.put(updated));
+            // Still offline, the server is struggling or the session has lapsed;
+            // the rest would fail too
+            if (!failed) break;
+        }
+    }
+    return sent;
+};
+
+/**
+ * Send whatever is queued for the signed-in account. Resolves to the number
+ * of reports sent; a sync already running is joined rather than repeated.
+ */
+export const syncPendingReports = () => {
+    if (syncPromise) return syncPromise;
+    if (!owner || !isConnected()) return Promise.resolve(0);
+
+    updateSnapshot({ syncing: true });
+    // One tab at a time, so two tabs coming back online do not both send
+    const run = () => sendQueuedReports();
+    syncPromise = (navigator.locks ? navigator.locks.request(SYNC_LOCK, run) : run())
+        .then((sent) => {
+            if (sent > 0) {
+                updateSnapshot({ lastSyncedAt: Date.now() });
+                // Once per sync rather than per report
+                invalidateQueries(QUERY_KEYS.DASHBOARD);
+            }
+            return sent;
+        })
+        .catch((error) => {
+            console.error('Error syncing queued reports:', error);
+            return 0;
+        })
+        .finally(() => {
+            syncPromise = null;
+            updateSnapshot({ syncing: false });
+            refreshSnapshot();
+        });
+    return syncPromise;
+};
+
+// Called when the signed-in account changes; null when signed out
+export const setReportQueueOwner = (email) => {
+    if (email === owner) return;
+    owner = email;
+    refreshSnapshot().then(() => {
+        if (snapshot.entries.length > 0) syncPendingReports();
+    });
+};
+
+onReconnect(() => syncPendingReports());
@@ -0,0 +1,22 @@
+import api from './axios';
+import { parseRecord, REPORT_SCHEMA } from './schemas';
+
+// Capacity reports submitted by facility reporters
+export const reportsApi = {
+    // Resolves to { report, facility } for the signed-in reporter; report is
+    // null before the first submission
+    getMine: async (config) => {
+        const response = await api.get('/reporter/reports/me', config);
+        const { report, facility } = response.data;
+        return {
+            report: report ? parseRecord('/reporter/reports/me', report, REPORT_SCHEMA) : null,
+            facility,
+        };
+    },
+
+    // Resolves to the saved report
+    submit: async (report, config) => {
+        const response = await api.post('/reporter/reports', report, config);
+        return parseRecord('/reporter/reports', response.data.report, REPORT_SCHEMA);
+    },
+};
@@ -0,0 +1,130 @@
+import { trackEvent } from '../telemetry';
+
+/**
+ * Response schemas
+ *
+ * What the pages rely on in each resource response, checked as it arrives
+ * rather than surfacing later as NaN totals or a broken chart.
+ *
+ * A malformed record is quarantined: it is swapped for a placeholder that
+ * isInvalidRecord recognises, which tables show as an "Invalid data" row and
+ * totals, charts and filters leave out. The well-formed records around it are
+ * kept. Only a response with the wrong overall shape (no list where a list
+ * belongs) fails the request, with a ResponseFormatError.
+ *
+ * Violations are logged and reported to telemetry as "schema_violation",
+ * once per endpoint and problem so a polling page does not repeat them.
+ */
+
+// Field checks: each returns what is wrong with the value, or null
+const string = (value) => (typeof value === 'string' ? null : 'must be a string');
+const boolean = (value) => (typeof value === 'boolean' ? null : 'must be true or false');
+const id = (value) => (Number.isInteger(value) && value > 0 ? null : 'must be a positive whole number');
+const count = (value) => (Number.isInteger(value) && value >= 0 ? null : 'must be a whole number of 0 or more');
+const timestamp = (value) => (
+    typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? null : 'must be a date'
+);
+// Missing and null are both fine; anything else must pass `check`
+const optional = (check) => (value) => (value === null || value === undefined ? null : check(value));
+
+export const FACILITY_SCHEMA = {
+    id,
+    name: string,
+    country: string,
+    city: string,
+    created_at: timestamp,
+};
+
+export const USER_SCHEMA = {
+    id,
+    email: string,
+    role: string,
+    facility_id: optional(id),
+    created_at: timestamp,
+};
+
+export const REPORT_SCHEMA = {
+    id: optional(id),
+    facility_id: id,
+    icu_beds_available: count,
+    ventilators_available: count,
+    staff_on_duty: count,
+    updated_at: timestamp,
+};
+
+// A facility has no counts until its first report
+export const DASHBOARD_FACILITY_SCHEMA = {
+    facility_id: id,
+    facility_name: string,
+    country: optional(string),
+    city: optional(string),
+    icu_beds_available: optional(count),
+    ventilators_available: optional(count),
+    staff_on_duty: optional(count),
+    critical: boolean,
+    last_update: optional(timestamp),
+};
+
+export class ResponseFormatError extends Error {
+    constructor(endpoint, problem) {
+        super(`Unexpected response from ${endpoint}: ${problem}`);
+        this.name = 'ResponseFormatError';
+        this.endpoint = endpoint;
+    }
+}
+
+const INVALID_RECORD = Symbol('invalid record');
+
+export const isInvalidRecord = (record) => record?.[INVALID_RECORD] === true;
+
+const reportedViolations = new Set();
+let quarantinedCount = 0;
+
+const reportViolation = (endpoint, problems) => {
+    const key = `${endpoint} ${problems.join('; ')}`;
+    if (reportedViolations.has(key)) return;
+    reportedViolations.add(key);
+    console.warn(`Unexpected data from ${endpoint}:`, problems);
+    trackEvent('schema_violation', { endpoint, problems });
+};
+
+const findProblems = (record, schema) => {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        return ['is not an object'];
+    }
+    return Object.entries(schema).flatMap(([field, check]) => {
+        const problem = check(record[field]);
+        return problem ? [`${field} ${problem}`] : [];
+    });
+};
+
+// Placeholder for a malformed record. `key` is unique within its list, as a
+// React key; `problems` says what was wrong.
+const quarantine = (key, problems) => ({ [INVALID_RECORD]: true, key, problems });
+
+// Check one record; a malformed one comes back as a placeholder
+export const parseRecord = (endpoint, record, schema) => {
+    const problems = findProblems(record, schema);
+    if (problems.length === 0) return record;
+    reportViolation(endpoint, problems);
+    return quarantine(`invalid-new-${++quarantinedCount}`, problems);
+};
+
+// Check every record in a list, replacing the malformed ones with placeholders
+export const parseList = (endpoint, records, schema) => {
+    if (!Array.isArray(records)) {
+        reportViolation(endpoint, ['is not a list']);
+        throw new ResponseFormatError(endpoint, 'expected a list');
+    }
+
+    const violations = [];
+    const parsed = records.map((record, index) => {
+        const problems = findProblems(record, schema);
+        if (problems.length === 0) return record;
+        violations.push(`[${index}] ${problems.join(', ')}`);
+        return quarantine(`invalid-${index}`, problems);
+    });
+
+    if (violations.length > 0) reportViolation(endpoint, violations);
+    return parsed;
+};
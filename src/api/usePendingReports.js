@@ -0,0 +1,13 @@
+import { useSyncExternalStore } from 'react';
+import { getPendingReports, subscribeToPendingReports } from './reportQueue';
+
+/**
+ * Reports waiting in the offline queue for the signed-in account.
+ *
+ * Returns { entries, syncing, lastSyncedAt }: `entries` oldest first,
+ * `syncing` while a sync is sending them, and `lastSyncedAt` (ms, 0 if
+ * never) when a sync last got at least one through.
+ */
+const usePendingReports = () => useSyncExternalStore(subscribeToPendingReports, getPendingReports);
+
+export default usePendingReports;
@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import { isCancelled } from './errors';
+import { DEFAULT_STALE_TIME, fetchQuery, getQueryState, revalidateQuery, subscribeToQuery } from './queryCache';
+
+/**
+ * Read `key` from the query cache, fetching it with `fetcher` when missing or
+ * stale. Cached data is returned straight away while a refetch runs.
+ *
+ * `fetcher` should be a stable function such as facilitiesApi.list. It gets
+ * `{ signal }`, which aborts the request once no mounted page needs it.
+ *
+ * `refetchInterval` (ms) polls while mounted. The next poll is scheduled
+ * only after the previous one settles, so a slow API never has two polls in
+ * flight.
+ *
+ * Returns { data, error, updatedAt, isLoading, isFetching, refetch }:
+ * `isLoading` is only true while nothing is cached yet, `isFetching` during
+ * any request. `updatedAt` is when `data` was last fetched (ms, 0 if never).
+ */
+const useQuery = (key, fetcher, { staleTime = DEFAULT_STALE_TIME, enabled = true, refetchInterval = 0 } = {}) => {
+    const subscribe = useCallback((listener) => subscribeToQuery(key, listener), [key]);
+    const state = useSyncExternalStore(subscribe, () => getQueryState(key));
+
+    useEffect(() => {
+        if (enabled) {
+            revalidateQuery(key, fetcher, staleTime);
+        }
+    }, [key, fetcher, staleTime, enabled]);
+
+    useEffect(() => {
+        if (!enabled || !refetchInterval) return undefined;
+
+        let timer = null;
+        let stopped = false;
+        const poll = () => {
+            fetchQuery(key, fetcher)
+                .catch((error) => {
+                    if (!isCancelled(error)) console.error(`Error polling ${key}:`, error);
+                })
+                .finally(() => {
+                    if (!stopped) timer = setTimeout(poll, refetchInterval);
+                });
+        };
+        timer = setTimeout(poll, refetchInterval);
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }, [key, fetcher, enabled, refetchInterval]);
+
+    const refetch = useCallback(() => fetchQuery(key, fetcher), [key, fetcher]);
+
+    return {
+        data: state.data,
+        error: state.error,
+        updatedAt: state.updatedAt,
+        isLoading: enabled && state.data === undefined && !state.error,
+        isFetching: state.isFetching,
+        refetch,
+    };
+};
+
+export default useQuery;
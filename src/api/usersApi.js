@@ -0,0 +1,22 @@
+import api from './axios';
+import { parseList, parseRecord, USER_SCHEMA } from './schemas';
+
+// User accounts managed from the admin area
+export const usersApi = {
+    list: async (config) => {
+        const response = await api.get('/admin/users', config);
+        return parseList('/admin/users', response.data.users, USER_SCHEMA);
+    },
+
+    // Resolves to the created user
+    create: async (user) => {
+        const response = await api.post('/admin/users', user);
+        return parseRecord('/admin/users', response.data.user, USER_SCHEMA);
+    },
+
+    // Resolves to { access_token, refresh_token, role, facility_id } for the target user
+    impersonate: async (userId) => {
+        const response = await api.post(`/admin/users/${userId}/impersonate`);
+        return response.data;
+    },
+};
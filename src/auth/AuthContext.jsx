@@ -1,77 +1,351 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import {
+    getAccessToken,
+    getRefreshToken,
+    setTokens,
+    clearTokens,
+    decodeToken,
+    TOKEN_REFRESHED_EVENT,
+} from './tokenStorage';
+import { SESSION_EVENTS, broadcastSessionEvent, subscribeToSessionEvents } from './sessionSync';
+import { getImpersonator, saveImpersonator, clearImpersonator } from './impersonation';
+import { isCookieMode } from './authMode';
+import { authApi, normalizeError, clearQueryCache, setReportQueueOwner } from '../api';
+import { onReconnect } from '../api/connectivity';
 
 const AuthContext = createContext(null);
 
-// Helper function to decode JWT payload
-const decodeToken = (token) => {
+// How long the startup check waits for /auth/me before carrying on with the
+// stored session, so a dead connection cannot hold every page on a spinner
+const IDENTITY_CHECK_TIMEOUT = 5000;
+
+// The stored user object, or null if the key has been edited into something else
+const parseStoredUser = (storedUser) => {
+    try {
+        const parsed = JSON.parse(storedUser);
+        return parsed && typeof parsed === 'object' && typeof parsed.email === 'string' ? parsed : null;
+    } catch {
+        return null;
+    }
+};
+
+// Read the persisted session, or null if it is missing or can no longer be used
+const readStoredSession = () => {
+    const storedToken = getAccessToken();
+    const storedUser = localStorage.getItem('user');
+    const storedRole = localStorage.getItem('role');
+
+    const user = parseStoredUser(storedUser);
+    if (!storedToken || !user || !storedRole) {
+        return null;
+    }
+
+    // An expired access token is still fine while a refresh token can renew
+    // it on the first API call
+    const decoded = decodeToken(storedToken);
+    if (!decoded || (decoded.exp * 1000 <= Date.now() && !getRefreshToken())) {
+        return null;
+    }
+
+    return {
+        token: storedToken,
+        user,
+        role: storedRole,
+        impersonator: getImpersonator()?.user ?? null,
+    };
+};
+
+const sameRole = (a, b) => !!a && !!b && a.toUpperCase() === b.toUpperCase();
+
+// Ask the backend whose credentials these are. Resolves to { user, role },
+// to null when they are rejected, and throws when the backend is unreachable.
+const fetchIdentity = async () => {
+    try {
+        // No retries: offline, the stored session is used until the connection returns
+        const data = await authApi.getMe({ skipLogoutRedirect: true, retry: false, timeout: IDENTITY_CHECK_TIMEOUT });
+        const me = data.user || data;
+
+        // Only fields the backend actually sent, so they never blank out stored ones
+        const user = { email: me.email };
+        if ('facility_id' in me || 'facility' in me) {
+            user.facility_id = me.facility_id ?? me.facility?.id ?? null;
+        }
+        if ('two_factor_enabled' in me) {
+            user.two_factor_enabled = !!me.two_factor_enabled;
+        }
+        return { user, role: me.role };
+    } catch (error) {
+        const { status } = normalizeError(error);
+        if (status === 401 || status === 403) {
+            return null;
+        }
+        throw error;
+    }
+};
+
+/**
+ * Rebuild the session from what the backend says about it, never from the
+ * user and role kept in localStorage alone - those are plain, editable keys.
+ *
+ * Token mode checks the stored identity against the token's claims and
+ * GET /auth/me. When the backend cannot be reached the stored session is
+ * returned marked `unverified`, to be checked again once it answers - only a
+ * rejection ends it. Cookie mode has nothing stored and takes /auth/me as is.
+ * Resolves to null when signed out or when the stored identity does not match.
+ */
+const loadVerifiedSession = async () => {
+    if (isCookieMode()) {
+        try {
+            const identity = await fetchIdentity();
+            return identity && { token: null, ...identity };
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            return null;
+        }
+    }
+
+    const stored = readStoredSession();
+    if (!stored) {
+        return null;
+    }
+
+    const claims = decodeToken(stored.token);
+    if ((claims.role && !sameRole(claims.role, stored.role)) || (claims.email && claims.email !== stored.user.email)) {
+        return null;
+    }
+
+    let identity;
     try {
-        const payload = token.split('.')[1];
-        const decoded = JSON.parse(atob(payload));
-        return decoded;
+        identity = await fetchIdentity();
     } catch (error) {
-        console.error('Error decoding token:', error);
+        console.error('Error verifying session:', error);
+        return { ...stored, unverified: true };
+    }
+
+    if (!identity || identity.user.email !== stored.user.email || !sameRole(identity.role, stored.role)) {
         return null;
     }
+
+    // /auth/me may have renewed the access token on the way
+    return { ...stored, token: getAccessToken(), user: { ...stored.user, ...identity.user }, role: identity.role };
+};
+
+const storeIdentity = (userData, userRole) => {
+    localStorage.setItem('user', JSON.stringify(userData));
+    localStorage.setItem('role', userRole);
+};
+
+const storeSession = (accessToken, refreshToken, userData, userRole) => {
+    // The backend keeps cookie-mode sessions in httpOnly cookies
+    if (isCookieMode()) return;
+
+    // Clear first so a session without a refresh token never inherits the
+    // previous session's one
+    clearTokens();
+    setTokens(accessToken, refreshToken);
+    storeIdentity(userData, userRole);
+};
+
+const clearStoredSession = () => {
+    clearTokens();
+    clearImpersonator();
+    localStorage.removeItem('user');
+    localStorage.removeItem('role');
 };
 
 export const AuthProvider = ({ children }) => {
     const [user, setUser] = useState(null);
     const [role, setRole] = useState(null);
     const [token, setToken] = useState(null);
+    // The admin behind an impersonation session, or null
+    const [impersonator, setImpersonator] = useState(null);
     const [loading, setLoading] = useState(true);
+    // Set while the session in use was restored without reaching the backend
+    const unverifiedRef = useRef(false);
 
-    // Load auth state from localStorage on mount
-    useEffect(() => {
-        const storedToken = localStorage.getItem('access_token');
-        const storedUser = localStorage.getItem('user');
-        const storedRole = localStorage.getItem('role');
-
-        if (storedToken && storedUser && storedRole) {
-            // Verify token is not expired
-            const decoded = decodeToken(storedToken);
-            if (decoded && decoded.exp * 1000 > Date.now()) {
-                setToken(storedToken);
-                setUser(JSON.parse(storedUser));
-                setRole(storedRole);
-            } else {
-                // Token expired, clear storage
-                logout();
-            }
+    const applySession = useCallback((session) => {
+        unverifiedRef.current = !!session?.unverified;
+        setToken(session?.token ?? null);
+        setUser(session?.user ?? null);
+        setRole(session?.role ?? null);
+        setImpersonator(session?.impersonator ?? null);
+    }, []);
+
+    // Secure logout - clears all auth data in this tab and every other tab
+    const logout = useCallback(() => {
+        if (isCookieMode()) {
+            // Only the backend can clear httpOnly cookies
+            authApi.logout()
+                .catch((error) => console.error('Error ending session:', error));
         }
-        setLoading(false);
+        applySession(null);
+        clearStoredSession();
+        clearQueryCache();
+        broadcastSessionEvent(SESSION_EVENTS.LOGOUT);
+    }, [applySession]);
+
+    // Reports queued offline are only sent while the account that captured them is signed in
+    useEffect(() => {
+        setReportQueueOwner(user?.email ?? null);
+    }, [user?.email]);
+
+    // Verify the session on mount. `loading` stays true until the backend has
+    // confirmed who is signed in, so no page renders on an unverified role.
+    useEffect(() => {
+        const hadStoredSession = !!getAccessToken();
+
+        loadVerifiedSession()
+            .catch((error) => {
+                console.error('Error restoring session:', error);
+                return null;
+            })
+            .then((session) => {
+                if (session) {
+                    applySession(session);
+                    if (!isCookieMode()) {
+                        storeIdentity(session.user, session.role);
+                    }
+                } else {
+                    // Expired, revoked or tampered with - end it here and in every other tab
+                    clearStoredSession();
+                    if (hadStoredSession) {
+                        broadcastSessionEvent(SESSION_EVENTS.LOGOUT);
+                    }
+                }
+            })
+            .finally(() => setLoading(false));
+    }, [applySession]);
+
+    // Check a session restored while offline as soon as the backend answers
+    // again; until then it stays, so queued reports and open pages survive
+    useEffect(() => {
+        return onReconnect(() => {
+            if (!unverifiedRef.current) return;
+
+            loadVerifiedSession()
+                .then((session) => {
+                    if (!session) {
+                        logout();
+                        return;
+                    }
+                    applySession(session);
+                    storeIdentity(session.user, session.role);
+                })
+                .catch((error) => console.error('Error verifying session:', error));
+        });
+    }, [applySession, logout]);
+
+    // Keep React state in step with tokens rotated by the axios interceptor
+    useEffect(() => {
+        const handleTokenRefreshed = (event) => {
+            setToken(event.detail.accessToken);
+            broadcastSessionEvent(SESSION_EVENTS.TOKEN_REFRESHED);
+        };
+
+        window.addEventListener(TOKEN_REFRESHED_EVENT, handleTokenRefreshed);
+        return () => window.removeEventListener(TOKEN_REFRESHED_EVENT, handleTokenRefreshed);
     }, []);
 
+    // Follow logins, logouts and token rotations made in other tabs
+    useEffect(() => {
+        return subscribeToSessionEvents(async ({ type }) => {
+            switch (type) {
+                case SESSION_EVENTS.LOGOUT:
+                    applySession(null);
+                    clearQueryCache();
+                    break;
+                case SESSION_EVENTS.LOGIN: {
+                    const session = await loadVerifiedSession();
+                    // A different identity would leave this tab showing the
+                    // previous user's data, so start it over from the home route
+                    if (user && session && (session.user.email !== user.email || !sameRole(session.role, role))) {
+                        window.location.replace('/');
+                        return;
+                    }
+                    applySession(session);
+                    break;
+                }
+                case SESSION_EVENTS.TOKEN_REFRESHED:
+                    setToken(getAccessToken());
+                    break;
+                default:
+                    break;
+            }
+        });
+    }, [user, role, applySession]);
+
     // Login function - stores auth data
-    const login = (accessToken, userData, userRole) => {
-        setToken(accessToken);
-        setUser(userData);
-        setRole(userRole);
+    const login = (accessToken, userData, userRole, refreshToken) => {
+        // Cached API data belongs to whoever was signed in before
+        clearQueryCache();
+        applySession({ token: accessToken, user: userData, role: userRole });
 
         // Persist to localStorage
-        localStorage.setItem('access_token', accessToken);
-        localStorage.setItem('user', JSON.stringify(userData));
-        localStorage.setItem('role', userRole);
+        storeSession(accessToken, refreshToken, userData, userRole);
+
+        broadcastSessionEvent(SESSION_EVENTS.LOGIN);
+    };
+
+    // Switch to a session issued for another user, parking the admin's own
+    // session so stopImpersonation() can restore it
+    const startImpersonation = (accessToken, userData, userRole, refreshToken) => {
+        if (!getImpersonator()) {
+            saveImpersonator({ accessToken: getAccessToken(), refreshToken: getRefreshToken(), user, role });
+        }
+
+        clearQueryCache();
+        applySession({ token: accessToken, user: userData, role: userRole, impersonator: getImpersonator().user });
+        storeSession(accessToken, refreshToken, userData, userRole);
+
+        broadcastSessionEvent(SESSION_EVENTS.LOGIN);
     };
 
-    // Secure logout - clears all auth data
-    const logout = () => {
-        setToken(null);
-        setUser(null);
-        setRole(null);
+    // Return to the admin's own session. The parked copy sat in localStorage,
+    // so it is verified again before any admin page renders.
+    const stopImpersonation = async () => {
+        const parked = getImpersonator();
+        if (!parked) return;
+
+        clearImpersonator();
+        clearQueryCache();
+        storeSession(parked.accessToken, parked.refreshToken, parked.user, parked.role);
+        setLoading(true);
+
+        try {
+            const session = await loadVerifiedSession();
+            if (session) {
+                applySession(session);
+                storeIdentity(session.user, session.role);
+                broadcastSessionEvent(SESSION_EVENTS.LOGIN);
+            } else {
+                logout();
+            }
+        } catch (error) {
+            console.error('Error restoring session:', error);
+            logout();
+        } finally {
+            setLoading(false);
+        }
+    };
 
-        // Clear all auth-related data from localStorage
-        localStorage.removeItem('access_token');
-        localStorage.removeItem('user');
-        localStorage.removeItem('role');
+    // Merge fresh details into the signed-in user, e.g. after enrolling 2FA
+    const updateUser = (changes) => {
+        const updatedUser = { ...user, ...changes };
+        setUser(updatedUser);
+        if (!isCookieMode()) {
+            localStorage.setItem('user', JSON.stringify(updatedUser));
+        }
     };
 
-    // Check if user is authenticated
+    // Check if user is authenticated. Cookie-mode sessions have no token in
+    // the page; /auth/me having returned the user is the proof.
     const isAuthenticated = () => {
-        return !!token && !!user && !!role;
+        return (!!token || isCookieMode()) && !!user && !!role;
     };
 
-    // Check if token is expired
+    // Check if token is expired - cookie expiry is only visible to the backend
     const isTokenExpired = () => {
+        if (isCookieMode()) return false;
         if (!token) return true;
         const decoded = decodeToken(token);
         if (!decoded || !decoded.exp) return true;
@@ -84,6 +358,10 @@ export const AuthProvider = ({ children }) => {
         token,
         login,
         logout,
+        updateUser,
+        impersonator,
+        startImpersonation,
+        stopImpersonation,
         isAuthenticated,
         isTokenExpired,
         loading,
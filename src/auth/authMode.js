@@ -0,0 +1,26 @@
+import { getConfig } from '../config';
+
+/**
+ * Auth mode
+ *
+ * `auth.mode` in config.json (VITE_AUTH_MODE at build time). "token", the
+ * default, keeps the JWT pair in localStorage and sends it as a bearer token.
+ * "cookie" leaves the session in httpOnly cookies set by the backend, out of
+ * reach of page scripts: requests go out with credentials and a CSRF token,
+ * and AuthContext restores the signed-in user from /auth/me instead of
+ * trusting localStorage.
+ */
+export const isCookieMode = () => getConfig().auth.mode === 'cookie';
+
+// The backend hands out the CSRF token in this response header and expects it
+// back on every state-changing request. Kept in memory only - /auth/me on
+// startup supplies a fresh one after a reload.
+export const CSRF_HEADER = 'X-CSRF-Token';
+
+let csrfToken = null;
+
+export const getCsrfToken = () => csrfToken;
+
+export const setCsrfToken = (token) => {
+    csrfToken = token;
+};
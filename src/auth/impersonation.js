@@ -0,0 +1,31 @@
+/**
+ * Impersonation storage
+ *
+ * While an admin views the app as another user, the admin's own session
+ * (token pair, user and role) is parked here and restored untouched when they
+ * exit. The stored entry doubles as the "impersonating" flag.
+ */
+const IMPERSONATOR_KEY = 'impersonator';
+
+// Sent on every API request while impersonating, so the backend can record
+// which admin actually made it
+export const IMPERSONATION_HEADER = 'X-Impersonated-By';
+
+// The admin's parked session ({ accessToken, refreshToken, user, role }), or
+// null - also when the stored entry has been edited into something unreadable
+export const getImpersonator = () => {
+    try {
+        const parked = JSON.parse(localStorage.getItem(IMPERSONATOR_KEY));
+        return parked && typeof parked === 'object' && parked.user ? parked : null;
+    } catch {
+        return null;
+    }
+};
+
+export const saveImpersonator = (session) => {
+    localStorage.setItem(IMPERSONATOR_KEY, JSON.stringify(session));
+};
+
+export const clearImpersonator = () => {
+    localStorage.removeItem(IMPERSONATOR_KEY);
+};
@@ -0,0 +1,156 @@
+import axios from 'axios';
+import { decodeToken } from './tokenStorage';
+import { isCookieMode } from './authMode';
+import { getConfig } from '../config';
+
+/**
+ * OpenID Connect single sign-on (authorization code + PKCE)
+ *
+ * Set per environment under `sso` in config.json, falling back to the
+ * build-time VITE_OIDC_* variables:
+ *
+ * issuer     - identity provider issuer URL; SSO is off when unset
+ * clientId   - public client registered for this app
+ * scopes     - requested scopes (default: "openid profile email")
+ * roleClaim  - ID token claim holding the user's roles (default: "roles")
+ * roleMap    - provider role -> app role, e.g. { "hfrat-admin": "ADMIN" }
+ *
+ * The provider's access token is used as the API bearer token and is renewed
+ * at the provider's token endpoint. The backend verifies its signature; the
+ * checks here only make sure the response belongs to the request we sent.
+ */
+const ssoConfig = () => getConfig().sso;
+
+export const SSO_CALLBACK_PATH = '/auth/callback';
+
+// PKCE verifier, state and nonce for the sign-in in progress in this tab
+const PENDING_LOGIN_KEY = 'oidc_pending_login';
+
+// The provider's tokens are bearer tokens, so SSO needs token mode
+export const isSsoEnabled = () => !!ssoConfig().issuer && !!ssoConfig().clientId && !isCookieMode();
+
+// True for access tokens issued by the identity provider rather than the backend
+export const isSsoToken = (token) => !!ssoConfig().issuer && decodeToken(token)?.iss === ssoConfig().issuer;
+
+let discoveryPromise = null;
+
+const discover = () => {
+    if (!discoveryPromise) {
+        discoveryPromise = axios
+            .get(`${ssoConfig().issuer}/.well-known/openid-configuration`, { timeout: 10000 })
+            .then((response) => response.data)
+            .catch((error) => {
+                discoveryPromise = null;
+                throw error;
+            });
+    }
+    return discoveryPromise;
+};
+
+const base64url = (bytes) => {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const randomString = () => base64url(crypto.getRandomValues(new Uint8Array(32)));
+
+const createCodeChallenge = async (verifier) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier));
+    return base64url(new Uint8Array(digest));
+};
+
+const redirectUri = () => `${window.location.origin}${SSO_CALLBACK_PATH}`;
+
+// Map the provider's role claim onto an app role, or null if none applies
+const mapRole = (claims) => {
+    const { roleClaim, roleMap } = ssoConfig();
+    const value = claims[roleClaim];
+    const idpRoles = Array.isArray(value) ? value : [value];
+    for (const idpRole of idpRoles) {
+        if (Object.hasOwn(roleMap, idpRole)) return roleMap[idpRole];
+    }
+    return null;
+};
+
+// Leave for the provider's sign-in page. `returnTo` is the page to open afterwards.
+export const startSsoLogin = async (returnTo) => {
+    const { clientId, scopes } = ssoConfig();
+    const config = await discover();
+    const pending = { state: randomString(), nonce: randomString(), verifier: randomString(), returnTo };
+    sessionStorage.setItem(PENDING_LOGIN_KEY, JSON.stringify(pending));
+
+    const params = new URLSearchParams({
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri(),
+        scope: scopes,
+        state: pending.state,
+        nonce: pending.nonce,
+        code_challenge: await createCodeChallenge(pending.verifier),
+        code_challenge_method: 'S256',
+    });
+    window.location.assign(`${config.authorization_endpoint}?${params}`);
+};
+
+/**
+ * Finish the sign-in from the callback URL's query parameters.
+ *
+ * Resolves to { accessToken, refreshToken, user, role, returnTo }. Rejects
+ * with an Error whose message can be shown to the user.
+ */
+export const completeSsoLogin = async (searchParams) => {
+    const pending = JSON.parse(sessionStorage.getItem(PENDING_LOGIN_KEY) || 'null');
+    sessionStorage.removeItem(PENDING_LOGIN_KEY);
+
+    if (searchParams.get('error')) {
+        throw new Error(searchParams.get('error_description') || 'Sign-in was cancelled at the identity provider.');
+    }
+    if (!pending || searchParams.get('state') !== pending.state) {
+        throw new Error('This sign-in link is no longer valid. Please start again.');
+    }
+
+    const { issuer, clientId } = ssoConfig();
+    const config = await discover();
+    const response = await axios.post(
+        config.token_endpoint,
+        new URLSearchParams({
+            grant_type: 'authorization_code',
+            code: searchParams.get('code') || '',
+            redirect_uri: redirectUri(),
+            client_id: clientId,
+            code_verifier: pending.verifier,
+        }),
+        { timeout: 10000 }
+    );
+    const { access_token, refresh_token, id_token } = response.data;
+
+    const claims = decodeToken(id_token);
+    const audience = Array.isArray(claims?.aud) ? claims.aud : [claims?.aud];
+    if (!claims || claims.iss !== issuer || !audience.includes(clientId) || claims.nonce !== pending.nonce) {
+        throw new Error('The identity provider returned an invalid sign-in response.');
+    }
+
+    const role = mapRole(claims);
+    if (!role) {
+        throw new Error('Your account has no HFRAT role. Please contact your administrator.');
+    }
+
+    return {
+        accessToken: access_token,
+        refreshToken: refresh_token,
+        // The provider enforces its own multi-factor policy
+        user: { email: claims.email || claims.preferred_username, facility_id: claims.facility_id ?? null, sso: true },
+        role,
+        returnTo: pending.returnTo,
+    };
+};
+
+// Renew an SSO session at the provider; resolves to { access_token, refresh_token }
+export const refreshSsoTokens = async (refreshToken) => {
+    const config = await discover();
+    const response = await axios.post(
+        config.token_endpoint,
+        new URLSearchParams({ grant_type: 'refresh_token', refresh_token: refreshToken, client_id: ssoConfig().clientId }),
+        { timeout: 10000 }
+    );
+    return response.data;
+};
@@ -0,0 +1,23 @@
+/**
+ * Password policy shared by every form that sets a password (user creation,
+ * password reset). Mirrors the rules the backend enforces.
+ */
+export const PASSWORD_POLICY_HINT = 'Must include: 8+ chars, uppercase, lowercase, number, special char (!@#$%^&*)';
+
+// Returns an error message, or null when the password satisfies the policy
+export const validatePassword = (password) => {
+    if (!password) {
+        return 'Password is required';
+    } else if (password.length < 8) {
+        return 'Password must be at least 8 characters';
+    } else if (!/[A-Z]/.test(password)) {
+        return 'Password must contain at least one uppercase letter';
+    } else if (!/[a-z]/.test(password)) {
+        return 'Password must contain at least one lowercase letter';
+    } else if (!/[0-9]/.test(password)) {
+        return 'Password must contain at least one number';
+    } else if (!/[!@#$%^&*]/.test(password)) {
+        return 'Password must contain at least one special character (!@#$%^&*)';
+    }
+    return null;
+};
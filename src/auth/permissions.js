@@ -0,0 +1,58 @@
+/**
+ * Permission registry
+ *
+ * The only place that knows what each role may do. Routes, navigation links
+ * and buttons ask for a capability, never for a role, so adding a role or
+ * changing what it can do is a change to ROLES below (plus a `homeFor` entry
+ * in the route manifest for a new role's landing page).
+ *
+ * The backend enforces the same rules; this only decides what the UI shows.
+ */
+export const PERMISSIONS = {
+    FACILITIES_READ: 'facilities:read',
+    FACILITIES_WRITE: 'facilities:write',
+    USERS_READ: 'users:read',
+    USERS_WRITE: 'users:write',
+    USERS_IMPERSONATE: 'users:impersonate',
+    REPORTS_SUBMIT: 'reports:submit',
+    DASHBOARD_VIEW: 'dashboard:view',
+    DASHBOARD_EXPORT: 'dashboard:export',
+};
+
+// Capabilities of each role. Role landing pages live in the route manifest.
+const ROLES = {
+    ADMIN: {
+        capabilities: [
+            PERMISSIONS.FACILITIES_READ,
+            PERMISSIONS.FACILITIES_WRITE,
+            PERMISSIONS.USERS_READ,
+            PERMISSIONS.USERS_WRITE,
+            PERMISSIONS.USERS_IMPERSONATE,
+            PERMISSIONS.REPORTS_SUBMIT,
+            PERMISSIONS.DASHBOARD_VIEW,
+            PERMISSIONS.DASHBOARD_EXPORT,
+        ],
+    },
+    REPORTER: {
+        capabilities: [
+            PERMISSIONS.REPORTS_SUBMIT,
+        ],
+    },
+    MONITOR: {
+        capabilities: [
+            PERMISSIONS.DASHBOARD_VIEW,
+            PERMISSIONS.DASHBOARD_EXPORT,
+        ],
+    },
+};
+
+const getRoleConfig = (role) => ROLES[role?.toUpperCase()] || null;
+
+export const getCapabilities = (role) => getRoleConfig(role)?.capabilities || [];
+
+// True if the role has the capability. An array means "any of these".
+export const hasPermission = (role, permission) => {
+    const capabilities = getCapabilities(role);
+    const required = Array.isArray(permission) ? permission : [permission];
+    return required.some((capability) => capabilities.includes(capability));
+};
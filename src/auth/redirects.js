@@ -0,0 +1,44 @@
+/**
+ * Post-login redirect helpers
+ *
+ * The page a user originally asked for is carried through the login flow,
+ * either as router state from ProtectedRoute or as a `?redirect=` query
+ * parameter from the axios 401 handler. It is only honoured when it is an
+ * in-app path the user's role is allowed to open.
+ */
+import { hasPermission } from './permissions';
+import { findProtectedRoute } from '../routes';
+
+// Build the login URL used outside the router, e.g. from the axios interceptor
+export const buildLoginUrl = (location = window.location) => {
+    const target = `${location.pathname}${location.search}${location.hash}`;
+    if (!location.pathname || location.pathname === '/' || location.pathname === '/login') {
+        return '/login';
+    }
+    return `/login?redirect=${encodeURIComponent(target)}`;
+};
+
+// Return the requested path if it is safe for this role, otherwise null
+export const getSafeRedirect = (target, role) => {
+    // Only same-origin absolute paths: rejects "https://..", "//host" and "/\host"
+    if (typeof target !== 'string' || !target.startsWith('/') || target.startsWith('//') || target.startsWith('/\\')) {
+        return null;
+    }
+
+    let url;
+    try {
+        url = new URL(target, window.location.origin);
+    } catch {
+        return null;
+    }
+    if (url.origin !== window.location.origin) {
+        return null;
+    }
+
+    const route = findProtectedRoute(url.pathname);
+    if (!route || (route.permission && !hasPermission(role, route.permission))) {
+        return null;
+    }
+
+    return `${url.pathname}${url.search}${url.hash}`;
+};
@@ -0,0 +1,50 @@
+/**
+ * Cross-tab session synchronisation
+ *
+ * Tabs of the app share localStorage, but each keeps its own React auth state.
+ * Whenever one tab logs in, logs out or rotates tokens it broadcasts a small
+ * event here; the other tabs then re-read the shared storage. Messages never
+ * carry tokens themselves.
+ *
+ * Uses BroadcastChannel where available and falls back to `storage` events.
+ */
+const CHANNEL_NAME = 'hfrat-auth';
+const STORAGE_EVENT_KEY = 'hfrat-auth-event';
+
+export const SESSION_EVENTS = {
+    LOGIN: 'login',
+    LOGOUT: 'logout',
+    TOKEN_REFRESHED: 'token-refreshed',
+};
+
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+
+export const broadcastSessionEvent = (type) => {
+    const message = { type, at: Date.now() };
+
+    if (channel) {
+        channel.postMessage(message);
+        return;
+    }
+
+    // Writing then removing the key fires a `storage` event in every other tab
+    localStorage.setItem(STORAGE_EVENT_KEY, JSON.stringify(message));
+    localStorage.removeItem(STORAGE_EVENT_KEY);
+};
+
+// Returns an unsubscribe function
+export const subscribeToSessionEvents = (handler) => {
+    if (channel) {
+        const handleMessage = (event) => handler(event.data);
+        channel.addEventListener('message', handleMessage);
+        return () => channel.removeEventListener('message', handleMessage);
+    }
+
+    const handleStorage = (event) => {
+        if (event.key === STORAGE_EVENT_KEY && event.newValue) {
+            handler(JSON.parse(event.newValue));
+        }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+};
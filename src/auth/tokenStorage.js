@@ -0,0 +1,43 @@
+/**
+ * Token storage
+ *
+ * Single place that knows where the access and refresh tokens live, so the
+ * axios interceptors and AuthContext never drift apart on key names.
+ */
+const ACCESS_TOKEN_KEY = 'access_token';
+const REFRESH_TOKEN_KEY = 'refresh_token';
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+// Store a token pair. A missing refresh token leaves the current one in place,
+// so backends that do not rotate refresh tokens keep working.
+export const setTokens = (accessToken, refreshToken) => {
+    localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+    if (refreshToken) {
+        localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+    }
+};
+
+// Decode a JWT payload without verifying it - the backend does verification
+export const decodeToken = (token) => {
+    try {
+        // JWTs use base64url, which atob() only accepts after mapping back
+        const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+        const decoded = JSON.parse(atob(payload));
+        return decoded;
+    } catch (error) {
+        console.error('Error decoding token:', error);
+        return null;
+    }
+};
+
+export const clearTokens = () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+// Fired on window after the axios interceptor rotates the token pair, so
+// AuthContext can pick up the new access token without a reload.
+export const TOKEN_REFRESHED_EVENT = 'auth:token-refreshed';
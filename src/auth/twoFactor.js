@@ -0,0 +1,21 @@
+import { getConfig } from '../config';
+
+/**
+ * Two-factor authentication policy
+ *
+ * `auth.twoFactorRequiredRoles` in config.json (VITE_TWO_FACTOR_REQUIRED_ROLES
+ * at build time) lists the roles that must enrol a TOTP authenticator before
+ * they can use the app (default: ADMIN). The backend stays the authority on
+ * verifying codes; this only decides when the UI sends a signed-in user to
+ * the enrolment page.
+ */
+
+export const TWO_FACTOR_SETUP_PATH = '/two-factor/setup';
+
+export const isTwoFactorRequired = (role) => getConfig().auth.twoFactorRequiredRoles.includes(role?.toUpperCase());
+
+// True when this user still has to enrol before reaching any other page.
+// SSO users prove their second factor to the identity provider instead.
+export const needsTwoFactorEnrollment = (user, role) => {
+    return isTwoFactorRequired(role) && !user?.two_factor_enabled && !user?.sso;
+};
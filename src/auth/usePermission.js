@@ -0,0 +1,10 @@
+import { useAuth } from './AuthContext';
+import { hasPermission } from './permissions';
+
+// True if the signed-in user has the capability (or any of an array of them)
+const usePermission = (permission) => {
+    const { role } = useAuth();
+    return hasPermission(role, permission);
+};
+
+export default usePermission;
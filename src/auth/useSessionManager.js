@@ -0,0 +1,174 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { useAuth } from './AuthContext';
+import { decodeToken, getRefreshToken } from './tokenStorage';
+import { refreshAccessToken, isRefreshRejected } from '../api/axios';
+import { getConfig } from '../config';
+
+/**
+ * Session timing, from config.json (minutes)
+ *
+ * auth.idleTimeoutMinutes     - sign out after this long without user activity
+ * auth.sessionWarningMinutes  - show the warning this long before sign-out
+ */
+const idleTimeoutMs = () => getConfig().auth.idleTimeoutMinutes * 60 * 1000;
+const warningMs = () => getConfig().auth.sessionWarningMinutes * 60 * 1000;
+
+// Renew the access token this long before it expires, while the user is active
+const REFRESH_AHEAD_MS = 60 * 1000;
+// Wait this long before trying again after a refresh failed on the way
+const REFRESH_RETRY_MS = 30 * 1000;
+
+// Browser events that count as the user still being at the terminal
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+// Last activity in any tab, so an idle tab does not sign out a user working
+// in another one. Written at most this often, as mousemove fires constantly.
+const LAST_ACTIVITY_KEY = 'hfrat-last-activity';
+const ACTIVITY_WRITE_INTERVAL_MS = 5 * 1000;
+
+const readLastActivity = () => Number(localStorage.getItem(LAST_ACTIVITY_KEY)) || 0;
+
+const recordActivity = (at = Date.now()) => {
+    localStorage.setItem(LAST_ACTIVITY_KEY, String(at));
+};
+
+// Expiry of a JWT in ms, or null for a token that is not one (e.g. an
+// opaque refresh token from an identity provider)
+const tokenExpiry = (token) => {
+    if (!token || token.split('.').length !== 3) return null;
+    const exp = decodeToken(token)?.exp;
+    return exp ? exp * 1000 : null;
+};
+
+/**
+ * Tracks session expiry and user inactivity for the signed-in session.
+ *
+ * The access token is renewed shortly before it expires for as long as the
+ * user is active, so only two things end a session: going idle, or the
+ * session itself running out - the refresh token's expiry, or the access
+ * token's when there is no refresh token to renew it with.
+ *
+ * Returns `warning` ({ reason: 'expiry' | 'idle', secondsLeft }) once either
+ * deadline is within the warning window, and calls `onSessionEnd(reason)`
+ * after logging out when a deadline passes.
+ */
+const useSessionManager = ({ onSessionEnd } = {}) => {
+    const { token, user, logout } = useAuth();
+    // Cookie-mode sessions have no token, so only the idle deadline applies
+    const signedIn = !!user;
+    const [warning, setWarning] = useState(null);
+    const warningShownRef = useRef(false);
+    const onSessionEndRef = useRef(onSessionEnd);
+
+    useEffect(() => {
+        onSessionEndRef.current = onSessionEnd;
+    }, [onSessionEnd]);
+
+    // Record activity - ignored while the warning is up, so only an explicit
+    // "Stay signed in" keeps an unattended terminal from being signed out
+    useEffect(() => {
+        if (!signedIn) return;
+
+        recordActivity();
+        let lastWrite = Date.now();
+        const handleActivity = () => {
+            const now = Date.now();
+            if (!warningShownRef.current && now - lastWrite >= ACTIVITY_WRITE_INTERVAL_MS) {
+                lastWrite = now;
+                recordActivity(now);
+            }
+        };
+
+        ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+        return () => {
+            ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+        };
+    }, [signedIn]);
+
+    // Check both deadlines once a second, and keep the access token fresh
+    useEffect(() => {
+        if (!signedIn) return;
+
+        const accessExpiresAt = tokenExpiry(token);
+        const refreshToken = token ? getRefreshToken() : null;
+        const sessionExpiresAt = (refreshToken ? tokenExpiry(refreshToken) : accessExpiresAt) ?? Infinity;
+        let refreshing = false;
+        let nextRefreshAt = 0;
+
+        const endSession = (reason) => {
+            warningShownRef.current = false;
+            setWarning(null);
+            logout();
+            onSessionEndRef.current?.(reason);
+        };
+
+        // A rotated token re-runs this effect with the new expiry
+        const renewAccessToken = async () => {
+            refreshing = true;
+            try {
+                await refreshAccessToken();
+            } catch (err) {
+                if (isRefreshRejected(err)) {
+                    endSession('expiry');
+                    return;
+                }
+                // Offline or the server is struggling; the session is still valid
+                console.error('Error renewing session:', err);
+                nextRefreshAt = Date.now() + REFRESH_RETRY_MS;
+            } finally {
+                refreshing = false;
+            }
+        };
+
+        const tick = () => {
+            const now = Date.now();
+            const idleDeadline = readLastActivity() + idleTimeoutMs();
+            const reason = sessionExpiresAt <= idleDeadline ? 'expiry' : 'idle';
+            const deadline = Math.min(sessionExpiresAt, idleDeadline);
+
+            if (now >= deadline) {
+                endSession(reason);
+                return;
+            }
+
+            const active = idleDeadline - now > warningMs();
+            if (active && refreshToken && accessExpiresAt && accessExpiresAt - now <= REFRESH_AHEAD_MS
+                && !refreshing && now >= nextRefreshAt) {
+                renewAccessToken();
+            }
+
+            if (deadline - now <= warningMs()) {
+                warningShownRef.current = true;
+                setWarning({ reason, secondsLeft: Math.ceil((deadline - now) / 1000) });
+            } else if (warningShownRef.current) {
+                warningShownRef.current = false;
+                setWarning(null);
+            }
+        };
+
+        const interval = setInterval(tick, 1000);
+        return () => clearInterval(interval);
+    }, [signedIn, token, logout]);
+
+    // Reset the idle timer and renew the access token if it is about to expire
+    const staySignedIn = useCallback(async () => {
+        recordActivity();
+        warningShownRef.current = false;
+        setWarning(null);
+
+        const expiresAt = tokenExpiry(token);
+        if (expiresAt && expiresAt - Date.now() <= warningMs()) {
+            try {
+                await refreshAccessToken();
+            } catch (err) {
+                console.error('Error extending session:', err);
+                logout();
+                onSessionEndRef.current?.('expiry');
+            }
+        }
+    }, [token, logout]);
+
+    return { warning, staySignedIn };
+};
+
+export default useSessionManager;
@@ -0,0 +1,41 @@
+import { Link, useLocation } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import { findProtectedRoute, getRoleHome } from '../routes';
+
+// Home › Section › Page trail for the current route, built from the manifest
+const Breadcrumbs = () => {
+    const { role } = useAuth();
+    const location = useLocation();
+    const route = findProtectedRoute(location.pathname);
+
+    if (!route) {
+        return null;
+    }
+
+    const crumbs = [route.section, route.title].filter(Boolean);
+
+    return (
+        <nav aria-label="Breadcrumb" className="bg-white border-b border-gray-200">
+            <ol className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex items-center gap-2 text-sm text-gray-500">
+                <li>
+                    <Link to={getRoleHome(role)} className="hover:text-indigo-600 transition-colors">
+                        Home
+                    </Link>
+                </li>
+                {crumbs.map((crumb, index) => (
+                    <li key={crumb} className="flex items-center gap-2">
+                        <span aria-hidden="true">›</span>
+                        <span
+                            className={index === crumbs.length - 1 ? 'font-medium text-gray-900' : undefined}
+                            aria-current={index === crumbs.length - 1 ? 'page' : undefined}
+                        >
+                            {crumb}
+                        </span>
+                    </li>
+                ))}
+            </ol>
+        </nav>
+    );
+};
+
+export default Breadcrumbs;
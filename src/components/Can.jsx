@@ -0,0 +1,9 @@
+import usePermission from '../auth/usePermission';
+
+// Render children only when the signed-in user has the given capability
+const Can = ({ permission, fallback = null, children }) => {
+    const allowed = usePermission(permission);
+    return allowed ? children : fallback;
+};
+
+export default Can;
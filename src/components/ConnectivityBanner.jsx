@@ -0,0 +1,26 @@
+import { useSyncExternalStore } from 'react';
+import { getConnectivity, subscribeToConnectivity } from '../api/connectivity';
+
+// App-wide notice shown while the browser is offline or the API cannot be reached
+const ConnectivityBanner = () => {
+    const { online, apiReachable } = useSyncExternalStore(subscribeToConnectivity, getConnectivity);
+
+    if (online && apiReachable) {
+        return null;
+    }
+
+    const message = online
+        ? 'Cannot reach the server. Retrying in the background...'
+        : 'You are offline. Data will refresh once your connection returns.';
+
+    return (
+        <div role="status" aria-live="polite" className="fixed bottom-4 inset-x-0 z-50 flex justify-center px-4 pointer-events-none">
+            <div className="flex items-center gap-2 px-4 py-2.5 rounded-full bg-gray-900 text-white text-sm font-medium shadow-lg">
+                <span className={`h-2.5 w-2.5 flex-shrink-0 rounded-full ${online ? 'bg-amber-400 animate-pulse' : 'bg-red-500'}`}></span>
+                <span>{message}</span>
+            </div>
+        </div>
+    );
+};
+
+export default ConnectivityBanner;
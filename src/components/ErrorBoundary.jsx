@@ -0,0 +1,68 @@
+import { Component } from 'react';
+import { Link } from 'react-router-dom';
+import { trackError } from '../telemetry';
+
+// Catches a render error in one page and shows a recovery screen in its place,
+// so the rest of the app (navbar, session handling) keeps working. Also catches
+// a page whose code failed to download, e.g. after a new release was deployed.
+class ErrorBoundary extends Component {
+    state = { error: null };
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error, info) {
+        console.error('Error rendering page:', error, info.componentStack);
+        trackError(error, { type: 'crash', componentStack: info.componentStack });
+    }
+
+    handleRetry = () => {
+        this.setState({ error: null });
+    };
+
+    render() {
+        if (!this.state.error) {
+            return this.props.children;
+        }
+
+        return (
+            <div className="flex items-center justify-center min-h-[60vh] px-4">
+                <div role="alert" className="max-w-md w-full bg-white shadow-lg rounded-xl p-8 border border-gray-200 text-center">
+                    <svg className="mx-auto h-12 w-12 text-red-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                    </svg>
+                    <h2 className="mt-4 text-xl font-bold text-gray-900">Something went wrong</h2>
+                    <p className="mt-2 text-sm text-gray-600">
+                        This page ran into a problem and could not be shown. Your other pages are unaffected.
+                    </p>
+                    <div className="mt-6 flex flex-wrap justify-center gap-3">
+                        <button
+                            type="button"
+                            onClick={this.handleRetry}
+                            className="px-5 py-2 border border-transparent text-sm font-semibold rounded-lg text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition"
+                        >
+                            Try again
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => window.location.reload()}
+                            className="px-5 py-2 border border-gray-300 text-sm font-semibold rounded-lg text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 transition"
+                        >
+                            Reload page
+                        </button>
+                        <Link
+                            to="/"
+                            onClick={this.handleRetry}
+                            className="px-5 py-2 text-sm font-semibold text-indigo-600 hover:text-indigo-800 transition"
+                        >
+                            Go to home
+                        </Link>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+}
+
+export default ErrorBoundary;
@@ -0,0 +1,42 @@
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+
+// Sticky strip shown above the navbar while an admin is viewing as another user
+const ImpersonationBanner = () => {
+    const { user, role, impersonator, stopImpersonation } = useAuth();
+    const navigate = useNavigate();
+
+    if (!impersonator) {
+        return null;
+    }
+
+    const handleExit = () => {
+        stopImpersonation();
+        navigate('/admin/users', { replace: true });
+    };
+
+    return (
+        <div role="status" className="sticky top-0 z-40 bg-amber-400 text-amber-950 shadow-md">
+            <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-2 flex flex-col sm:flex-row items-start sm:items-center justify-between gap-2">
+                <p className="flex items-center gap-2 text-sm font-medium">
+                    <svg className="w-5 h-5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                    </svg>
+                    <span>
+                        Viewing as <strong>{user?.email}</strong> ({role?.toUpperCase()}). Signed in as {impersonator.email}.
+                    </span>
+                </p>
+                <button
+                    type="button"
+                    onClick={handleExit}
+                    className="px-4 py-1.5 text-sm font-semibold rounded-lg bg-amber-950 text-white hover:bg-amber-900 transition-colors"
+                >
+                    Exit view
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ImpersonationBanner;
@@ -0,0 +1,19 @@
+// Table row standing in for a record the server sent in an unexpected shape
+// (see api/schemas). The problems are listed on hover.
+const InvalidDataRow = ({ record, colSpan }) => {
+    return (
+        <tr className="bg-gray-50">
+            <td colSpan={colSpan} className="px-6 py-4 whitespace-nowrap">
+                <div className="flex items-center gap-2 text-sm text-gray-500" title={record.problems.join('\n')}>
+                    <svg className="h-5 w-5 flex-shrink-0 text-amber-500" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                    </svg>
+                    <span className="font-semibold text-gray-700">Invalid data</span>
+                    <span>- this record could not be shown</span>
+                </div>
+            </td>
+        </tr>
+    );
+};
+
+export default InvalidDataRow;
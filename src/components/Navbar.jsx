@@ -1,5 +1,7 @@
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../auth/AuthContext';
+import { NAV_ROUTES } from '../routes';
+import Can from './Can';
 
 const Navbar = () => {
     const { user, role, logout } = useAuth();
@@ -28,57 +30,27 @@ const Navbar = () => {
 
                         {/* Navigation links */}
                         <div className="hidden sm:ml-8 sm:flex sm:space-x-2">
-                            {/* Admin links */}
-                            {role?.toUpperCase() === 'ADMIN' && (
-                                <>
+                            {NAV_ROUTES.map(({ path, nav, permission }) => (
+                                <Can key={path} permission={permission}>
                                     <Link
-                                        to="/admin/facilities"
-                                        className="inline-flex items-center px-3 py-2 text-sm font-medium text-white hover:bg-indigo-500 rounded-lg transition-colors"
+                                        to={path}
+                                        className="inline-flex items-center gap-2 px-3 py-2 text-sm font-medium text-white hover:bg-indigo-500 rounded-lg transition-colors"
                                     >
-                                        Facilities
+                                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={nav.icon} />
+                                        </svg>
+                                        {nav.label}
                                     </Link>
-                                    <Link
-                                        to="/admin/users"
-                                        className="inline-flex items-center px-3 py-2 text-sm font-medium text-white hover:bg-indigo-500 rounded-lg transition-colors"
-                                    >
-                                        Users
-                                    </Link>
-                                    <Link
-                                        to="/dashboard"
-                                        className="inline-flex items-center px-3 py-2 text-sm font-medium text-white hover:bg-indigo-500 rounded-lg transition-colors"
-                                    >
-                                        Dashboard
-                                    </Link>
-                                </>
-                            )}
-
-                            {/* Reporter links */}
-                            {role?.toUpperCase() === 'REPORTER' && (
-                                <Link
-                                    to="/report"
-                                    className="inline-flex items-center px-3 py-2 text-sm font-medium text-white hover:bg-indigo-500 rounded-lg transition-colors"
-                                >
-                                    Submit Report
-                                </Link>
-                            )}
-
-                            {/* Monitor links */}
-                            {role?.toUpperCase() === 'MONITOR' && (
-                                <Link
-                                    to="/dashboard"
-                                    className="inline-flex items-center px-3 py-2 text-sm font-medium text-white hover:bg-indigo-500 rounded-lg transition-colors"
-                                >
-                                    Dashboard
-                                </Link>
-                            )}
+                                </Can>
+                            ))}
                         </div>
                     </div>
 
                     {/* Right side - User info and logout */}
                     <div className="flex items-center space-x-4">
-                        {/* User info */}
+                        {/* User info - links to the account page */}
                         <div className="hidden md:flex items-center space-x-3 border-r border-indigo-500 pr-4">
-                            <div className="flex items-center space-x-2">
+                            <Link to="/account" title="My account" className="flex items-center space-x-2 rounded-lg px-2 py-1 hover:bg-indigo-500 transition-colors">
                                 <div className="w-8 h-8 bg-indigo-300 rounded-full flex items-center justify-center">
                                     <span className="text-indigo-900 text-sm font-bold">
                                         {user?.email?.charAt(0).toUpperCase()}
@@ -88,7 +60,7 @@ const Navbar = () => {
                                     <p className="font-medium text-white">{user?.email}</p>
                                     <p className="text-xs text-indigo-200">{role}</p>
                                 </div>
-                            </div>
+                            </Link>
                         </div>
 
                         {/* Logout button */}
@@ -118,49 +90,27 @@ const Navbar = () => {
             {/* Mobile navigation */}
             <div className="sm:hidden border-t border-gray-200">
                 <div className="px-2 pt-2 pb-3 space-y-1">
-                    {/* Admin mobile links */}
-                    {role === 'ADMIN' && (
-                        <>
+                    {NAV_ROUTES.map(({ path, nav, permission }) => (
+                        <Can key={path} permission={permission}>
                             <Link
-                                to="/admin/facilities"
-                                className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-indigo-600 hover:bg-gray-50 rounded-md"
+                                to={path}
+                                className="flex items-center gap-2 px-3 py-2 text-base font-medium text-gray-700 hover:text-indigo-600 hover:bg-gray-50 rounded-md"
                             >
-                                Facilities
-                            </Link>
-                            <Link
-                                to="/admin/users"
-                                className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-indigo-600 hover:bg-gray-50 rounded-md"
-                            >
-                                Users
-                            </Link>
-                            <Link
-                                to="/dashboard"
-                                className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-indigo-600 hover:bg-gray-50 rounded-md"
-                            >
-                                Dashboard
+                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d={nav.icon} />
+                                </svg>
+                                {nav.label}
                             </Link>
-                        </>
-                    )}
-
-                    {/* Reporter mobile links */}
-                    {role === 'REPORTER' && (
-                        <Link
-                            to="/report"
-                            className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-indigo-600 hover:bg-gray-50 rounded-md"
-                        >
-                            Submit Report
-                        </Link>
-                    )}
+                        </Can>
+                    ))}
 
-                    {/* Monitor mobile links */}
-                    {role === 'MONITOR' && (
-                        <Link
-                            to="/dashboard"
-                            className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-indigo-600 hover:bg-gray-50 rounded-md"
-                        >
-                            Dashboard
-                        </Link>
-                    )}
+                    {/* Account link for every role */}
+                    <Link
+                        to="/account"
+                        className="block px-3 py-2 text-base font-medium text-gray-700 hover:text-indigo-600 hover:bg-gray-50 rounded-md"
+                    >
+                        My Account
+                    </Link>
                 </div>
             </div>
         </nav>
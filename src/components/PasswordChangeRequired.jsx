@@ -0,0 +1,137 @@
+import { useState } from 'react';
+import { authApi, normalizeError } from '../api';
+import { validatePassword, PASSWORD_POLICY_HINT } from '../auth/passwordPolicy';
+
+// Login step shown when /auth/login says the password must be changed first,
+// e.g. a temporary password set by an admin or one that has expired
+const PasswordChangeRequired = ({ changeToken, onChanged, onCancel }) => {
+    const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+    const [formErrors, setFormErrors] = useState({});
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const validateForm = () => {
+        const errors = {};
+
+        const passwordError = validatePassword(formData.password);
+        if (passwordError) {
+            errors.password = passwordError;
+        }
+
+        if (!formData.confirmPassword) {
+            errors.confirmPassword = 'Please confirm your new password';
+        } else if (formData.confirmPassword !== formData.password) {
+            errors.confirmPassword = 'Passwords do not match';
+        }
+
+        return errors;
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        if (formErrors[name]) {
+            setFormErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+
+        const errors = validateForm();
+        if (Object.keys(errors).length > 0) {
+            setFormErrors(errors);
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            onChanged(await authApi.completeRequiredPasswordChange(changeToken, formData.password));
+        } catch (err) {
+            console.error('Required password change error:', err);
+
+            const { message, fieldErrors } = normalizeError(err, 'Failed to change password. Please try again.', {
+                401: 'Your sign-in attempt has expired. Please sign in again.',
+            });
+            if (fieldErrors) {
+                setFormErrors(fieldErrors);
+            } else {
+                setError(message);
+            }
+            setLoading(false);
+        }
+    };
+
+    const fields = [
+        { name: 'password', label: 'New password' },
+        { name: 'confirmPassword', label: 'Confirm new password' },
+    ];
+
+    return (
+        <div>
+            <div className="text-center mb-8">
+                <div className="inline-flex w-14 h-14 bg-amber-100 rounded-2xl items-center justify-center mb-4">
+                    <svg className="w-8 h-8 text-amber-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z" />
+                    </svg>
+                </div>
+                <h2 className="text-2xl font-bold text-gray-900">Choose a new password</h2>
+                <p className="mt-2 text-gray-500">You need to change your password before you can continue.</p>
+            </div>
+
+            {error && (
+                <div className="mb-6 bg-red-50 border border-red-200 rounded-xl p-4">
+                    <p className="text-sm text-red-700 font-medium">{error}</p>
+                </div>
+            )}
+
+            <form className="space-y-6" onSubmit={handleSubmit}>
+                {fields.map(({ name, label }, index) => (
+                    <div key={name}>
+                        <label htmlFor={`required-${name}`} className="block text-sm font-semibold text-gray-700 mb-2">
+                            {label}
+                        </label>
+                        <input
+                            id={`required-${name}`}
+                            name={name}
+                            type="password"
+                            autoComplete="new-password"
+                            autoFocus={index === 0}
+                            value={formData[name]}
+                            onChange={handleInputChange}
+                            className={`block w-full px-4 py-3.5 border-2 ${formErrors[name] ? 'border-red-300 focus:border-red-500 focus:ring-red-200' : 'border-gray-200 focus:border-indigo-500 focus:ring-indigo-200'} rounded-xl text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-4 transition-all duration-200`}
+                            placeholder="••••••••"
+                        />
+                        {formErrors[name] && (
+                            <p className="mt-2 text-sm text-red-600">{formErrors[name]}</p>
+                        )}
+                        {name === 'password' && (
+                            <p className="mt-2 text-xs text-gray-500">{PASSWORD_POLICY_HINT}</p>
+                        )}
+                    </div>
+                ))}
+
+                <button
+                    type="submit"
+                    disabled={loading}
+                    className={`w-full flex justify-center items-center py-4 px-6 rounded-xl text-white font-semibold text-base shadow-lg shadow-indigo-500/30 ${loading
+                        ? 'bg-indigo-400 cursor-not-allowed'
+                        : 'bg-indigo-600 hover:bg-indigo-700 hover:shadow-xl hover:shadow-indigo-500/40 active:scale-[0.98]'
+                        } transition-all duration-200`}
+                >
+                    {loading ? 'Saving...' : 'Change password and continue'}
+                </button>
+
+                <div className="text-center text-sm">
+                    <button type="button" onClick={onCancel} className="font-medium text-gray-500 hover:text-gray-700">
+                        Back to sign in
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default PasswordChangeRequired;
@@ -1,10 +1,17 @@
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../auth/AuthContext';
+import { needsTwoFactorEnrollment, TWO_FACTOR_SETUP_PATH } from '../auth/twoFactor';
+import { hasPermission } from '../auth/permissions';
+import { getRoleHome } from '../routes';
 
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
+// `permission` is a capability from auth/permissions (or an array of which any
+// one is enough); without it any signed-in user may open the route
+const ProtectedRoute = ({ children, permission, skipTwoFactorCheck = false }) => {
     const { user, role, isAuthenticated, loading } = useAuth();
+    const location = useLocation();
 
-    // Show loading state while checking authentication
+    // Show loading state until the backend has verified who is signed in -
+    // the role in localStorage alone is never trusted to render a page
     if (loading) {
         return (
             <div className="min-h-screen flex items-center justify-center bg-gray-50">
@@ -16,27 +23,22 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
         );
     }
 
-    // Redirect to login if not authenticated
+    // Redirect to login if not authenticated, remembering where the user was going
     if (!isAuthenticated()) {
-        return <Navigate to="/login" replace />;
+        return <Navigate to="/login" replace state={{ from: location }} />;
     }
 
-    // Check if user has required role
-    if (allowedRoles.length > 0 && !allowedRoles.includes(role?.toUpperCase())) {
-        // Redirect to appropriate dashboard based on user's role
-        switch (role?.toUpperCase()) {
-            case 'ADMIN':
-                return <Navigate to="/admin/facilities" replace />;
-            case 'REPORTER':
-                return <Navigate to="/report" replace />;
-            case 'MONITOR':
-                return <Navigate to="/dashboard" replace />;
-            default:
-                return <Navigate to="/login" replace />;
-        }
+    // Roles that require 2FA must enrol before reaching any other page
+    if (!skipTwoFactorCheck && needsTwoFactorEnrollment(user, role)) {
+        return <Navigate to={TWO_FACTOR_SETUP_PATH} replace state={{ from: location }} />;
     }
 
-    // User is authenticated and has correct role
+    // Check if user has the required capability, otherwise send them home
+    if (permission && !hasPermission(role, permission)) {
+        return <Navigate to={getRoleHome(role)} replace />;
+    }
+
+    // User is authenticated and has the required capability
     return children;
 };
 
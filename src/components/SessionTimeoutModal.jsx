@@ -0,0 +1,72 @@
+import { useCallback } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import useSessionManager from '../auth/useSessionManager';
+import { formatCountdown } from '../format';
+
+const SessionTimeoutModal = () => {
+    const { logout } = useAuth();
+    const navigate = useNavigate();
+    const location = useLocation();
+
+    const handleSessionEnd = useCallback((reason) => {
+        navigate('/login', { replace: true, state: { sessionEnded: reason, from: location } });
+    }, [navigate, location]);
+
+    const { warning, staySignedIn } = useSessionManager({ onSessionEnd: handleSessionEnd });
+
+    if (!warning) {
+        return null;
+    }
+
+    const handleSignOut = () => {
+        logout();
+        navigate('/login');
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900/60 px-4">
+            <div role="alertdialog" aria-modal="true" aria-labelledby="session-timeout-title" className="w-full max-w-md bg-white rounded-2xl shadow-2xl overflow-hidden">
+                <div className="bg-gradient-to-r from-amber-500 to-orange-500 px-6 py-5">
+                    <h2 id="session-timeout-title" className="text-xl font-bold text-white flex items-center gap-2">
+                        <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        Your session is about to end
+                    </h2>
+                </div>
+
+                <div className="px-6 py-6 text-center">
+                    <p className="text-gray-600">
+                        {warning.reason === 'idle'
+                            ? 'You have been inactive for a while. For security, you will be signed out in'
+                            : 'Your sign-in is expiring. You will be signed out in'}
+                    </p>
+                    <p className="mt-3 text-4xl font-bold text-gray-900 tabular-nums">
+                        {formatCountdown(warning.secondsLeft)}
+                    </p>
+                </div>
+
+                <div className="flex justify-end gap-3 px-6 py-4 bg-gray-50 border-t border-gray-200">
+                    <button
+                        type="button"
+                        onClick={handleSignOut}
+                        className="px-5 py-2.5 border-2 border-gray-300 text-gray-700 font-semibold rounded-xl hover:bg-gray-100 transition-all"
+                    >
+                        Sign out now
+                    </button>
+                    <button
+                        type="button"
+                        onClick={staySignedIn}
+                        autoFocus
+                        className="px-5 py-2.5 rounded-xl text-white font-semibold bg-indigo-600 hover:bg-indigo-700 shadow-lg shadow-indigo-500/30 transition-all"
+                    >
+                        Stay signed in
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SessionTimeoutModal;
@@ -0,0 +1,124 @@
+import { useState } from 'react';
+import { authApi, normalizeError } from '../api';
+
+// Second login step - shown when /auth/login answers with a 2FA challenge
+const TwoFactorChallenge = ({ challengeToken, onVerified, onCancel }) => {
+    const [useBackupCode, setUseBackupCode] = useState(false);
+    const [code, setCode] = useState('');
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const validate = () => {
+        if (useBackupCode) {
+            return code.trim() ? null : 'Backup code is required';
+        }
+        return /^\d{6}$/.test(code) ? null : 'Enter the 6-digit code from your authenticator app';
+    };
+
+    const handleCodeChange = (e) => {
+        const { value } = e.target;
+        // Authenticator codes are digits only; backup codes may contain letters and dashes
+        if (!useBackupCode && value !== '' && !/^\d{0,6}$/.test(value)) {
+            return;
+        }
+        setCode(value);
+        setError(null);
+    };
+
+    const toggleMode = () => {
+        setUseBackupCode(prev => !prev);
+        setCode('');
+        setError(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const validationError = validate();
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+
+        setLoading(true);
+        setError(null);
+
+        try {
+            const payload = useBackupCode
+                ? { challenge_token: challengeToken, backup_code: code.trim() }
+                : { challenge_token: challengeToken, code };
+
+            onVerified(await authApi.verifyTwoFactor(payload));
+        } catch (err) {
+            console.error('2FA verification error:', err);
+
+            setError(normalizeError(err, 'An unexpected error occurred. Please try again.', {
+                401: useBackupCode ? 'Invalid backup code' : 'Invalid or expired code',
+            }).message);
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div>
+            <div className="text-center mb-8">
+                <div className="inline-flex w-14 h-14 bg-indigo-100 rounded-2xl items-center justify-center mb-4">
+                    <svg className="w-8 h-8 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.040A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                    </svg>
+                </div>
+                <h2 className="text-2xl font-bold text-gray-900">Two-factor authentication</h2>
+                <p className="mt-2 text-gray-500">
+                    {useBackupCode
+                        ? 'Enter one of the backup codes you saved when setting up two-factor authentication'
+                        : 'Enter the 6-digit code from your authenticator app'}
+                </p>
+            </div>
+
+            <form className="space-y-6" onSubmit={handleSubmit}>
+                <div>
+                    <label htmlFor="two-factor-code" className="block text-sm font-semibold text-gray-700 mb-2">
+                        {useBackupCode ? 'Backup code' : 'Authentication code'}
+                    </label>
+                    <input
+                        id="two-factor-code"
+                        name="code"
+                        type="text"
+                        inputMode={useBackupCode ? 'text' : 'numeric'}
+                        autoComplete="one-time-code"
+                        autoFocus
+                        value={code}
+                        onChange={handleCodeChange}
+                        className={`block w-full px-4 py-3.5 border-2 ${error ? 'border-red-300 focus:border-red-500 focus:ring-red-200' : 'border-gray-200 focus:border-indigo-500 focus:ring-indigo-200'} rounded-xl text-gray-900 text-center text-lg tracking-widest placeholder-gray-400 focus:outline-none focus:ring-4 transition-all duration-200`}
+                        placeholder={useBackupCode ? 'xxxx-xxxx' : '123456'}
+                    />
+                    {error && (
+                        <p className="mt-2 text-sm text-red-600">{error}</p>
+                    )}
+                </div>
+
+                <button
+                    type="submit"
+                    disabled={loading}
+                    className={`w-full flex justify-center items-center py-4 px-6 rounded-xl text-white font-semibold text-base shadow-lg shadow-indigo-500/30 ${loading
+                        ? 'bg-indigo-400 cursor-not-allowed'
+                        : 'bg-indigo-600 hover:bg-indigo-700 hover:shadow-xl hover:shadow-indigo-500/40 active:scale-[0.98]'
+                        } transition-all duration-200`}
+                >
+                    {loading ? 'Verifying...' : 'Verify'}
+                </button>
+
+                <div className="flex justify-between text-sm">
+                    <button type="button" onClick={toggleMode} className="font-medium text-indigo-600 hover:text-indigo-500">
+                        {useBackupCode ? 'Use authenticator app' : 'Use a backup code'}
+                    </button>
+                    <button type="button" onClick={onCancel} className="font-medium text-gray-500 hover:text-gray-700">
+                        Back to sign in
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default TwoFactorChallenge;
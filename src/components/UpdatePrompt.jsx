@@ -0,0 +1,25 @@
+import { useEffect, useSyncExternalStore } from 'react';
+import { getAppUpdate, subscribeToAppUpdate, applyAppUpdate } from '../pwa';
+import useToast from '../notifications/useToast';
+
+const UPDATE_TOAST_ID = 'app-update';
+
+// Offers a reload once a new version of the app has been deployed
+const UpdatePrompt = () => {
+    const toast = useToast();
+    const { updateAvailable } = useSyncExternalStore(subscribeToAppUpdate, getAppUpdate);
+
+    useEffect(() => {
+        if (!updateAvailable) return;
+        toast.info('Reload to start using it. Anything not yet submitted on this page will be lost.', {
+            id: UPDATE_TOAST_ID,
+            title: 'Update available',
+            duration: 0,
+            action: { label: 'Reload', onClick: applyAppUpdate },
+        });
+    }, [toast, updateAvailable]);
+
+    return null;
+};
+
+export default UpdatePrompt;
@@ -0,0 +1,276 @@
+/**
+ * Runtime configuration
+ *
+ * Read from /config.json when the app starts, so the same build can be
+ * promoted from preview to production (or onto an on-prem server) by
+ * swapping that one file. Any setting the file leaves out or gets wrong
+ * falls back to the build-time VITE_* variable, then to the defaults here.
+ *
+ * {
+ *   "apiUrl": "https://api.example.org",      backend base URL, without /api
+ *   "dashboardRefreshSeconds": 30,            monitor dashboard auto-refresh
+ *   "thresholds": { "lowResource": 3 },       counts at or below this are flagged
+ *   "features": { "dashboardExport": true, "impersonation": true },
+ *   "mockApi": false,                         answer requests in the browser, see src/mock
+ *   "telemetry": {                            error and timing reports, see src/telemetry.js
+ *     "endpoint": "https://collector.example.org/hfrat",
+ *     "sampleRate": 0.25                      share of visits that report, 0 to 1
+ *   },
+ *   "auth": {
+ *     "mode": "token",                        or "cookie", see src/auth/authMode.js
+ *     "idleTimeoutMinutes": 15,               sign out after this long without activity
+ *     "sessionWarningMinutes": 2,             warn this long before sign-out
+ *     "twoFactorRequiredRoles": ["ADMIN"]     roles that must enrol TOTP
+ *   },
+ *   "sso": {                                  OpenID Connect, see src/auth/oidc.js
+ *     "issuer": "https://login.example.org/realms/hfrat",   "" turns SSO off
+ *     "clientId": "hfrat-web",
+ *     "scopes": "openid profile email",
+ *     "roleClaim": "roles",                   ID token claim with the user's roles
+ *     "roleMap": { "hfrat-admin": "ADMIN" }   provider role -> app role
+ *   }
+ * }
+ */
+const CONFIG_URL = `${import.meta.env.BASE_URL}config.json`;
+
+// "ADMIN, monitor" -> ["ADMIN", "MONITOR"]
+const parseRoleList = (value) => value
+    .split(',')
+    .map((role) => role.trim().toUpperCase())
+    .filter(Boolean);
+
+// "idp-role:APP_ROLE,..." -> { "idp-role": "APP_ROLE" }
+const parseRoleMap = (value) => Object.fromEntries(
+    value
+        .split(',')
+        .map((pair) => pair.split(':').map((part) => part.trim()))
+        .filter(([idpRole, appRole]) => idpRole && appRole)
+        .map(([idpRole, appRole]) => [idpRole, appRole.toUpperCase()])
+);
+
+const DEFAULT_CONFIG = {
+    apiUrl: import.meta.env.VITE_API_URL || 'http://localhost:5000',
+    dashboardRefreshSeconds: 30,
+    thresholds: {
+        lowResource: 3,
+    },
+    features: {
+        dashboardExport: true,
+        impersonation: true,
+    },
+    mockApi: import.meta.env.VITE_MOCK_API === 'true',
+    telemetry: {
+        endpoint: import.meta.env.VITE_TELEMETRY_ENDPOINT || '',
+        sampleRate: 1,
+    },
+    auth: {
+        mode: import.meta.env.VITE_AUTH_MODE === 'cookie' ? 'cookie' : 'token',
+        idleTimeoutMinutes: Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES) || 15,
+        sessionWarningMinutes: Number(import.meta.env.VITE_SESSION_WARNING_MINUTES) || 2,
+        twoFactorRequiredRoles: parseRoleList(import.meta.env.VITE_TWO_FACTOR_REQUIRED_ROLES ?? 'ADMIN'),
+    },
+    sso: {
+        issuer: (import.meta.env.VITE_OIDC_ISSUER || '').replace(/\/$/, ''),
+        clientId: import.meta.env.VITE_OIDC_CLIENT_ID || '',
+        scopes: import.meta.env.VITE_OIDC_SCOPES || 'openid profile email',
+        roleClaim: import.meta.env.VITE_OIDC_ROLE_CLAIM || 'roles',
+        roleMap: parseRoleMap(import.meta.env.VITE_OIDC_ROLE_MAP ?? 'hfrat-admin:ADMIN,hfrat-reporter:REPORTER,hfrat-monitor:MONITOR'),
+    },
+};
+
+// Shortest dashboard refresh allowed, so a typo cannot hammer the backend
+const MIN_REFRESH_SECONDS = 5;
+
+let config = DEFAULT_CONFIG;
+
+export const getConfig = () => config;
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Absolute http(s) URL, or a path on this origin behind a reverse proxy
+const isValidApiUrl = (value) => {
+    if (typeof value !== 'string' || !value.trim()) return false;
+    return value.startsWith('/') || isHttpUrl(value);
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Settings in the "auth" and "sso" groups: [check, problem, normalise]
+const AUTH_SETTINGS = {
+    mode: [(value) => value === 'token' || value === 'cookie', 'must be "token" or "cookie"'],
+    idleTimeoutMinutes: [(value) => Number.isFinite(value) && value >= 1, 'must be a number of at least 1'],
+    sessionWarningMinutes: [(value) => Number.isFinite(value) && value > 0, 'must be a number above 0'],
+    twoFactorRequiredRoles: [
+        (value) => Array.isArray(value) && value.every(isNonEmptyString),
+        'must be a list of role names',
+        (value) => value.map((role) => role.trim().toUpperCase()),
+    ],
+};
+
+const SSO_SETTINGS = {
+    // An empty issuer switches SSO off
+    issuer: [
+        (value) => value === '' || (typeof value === 'string' && isHttpUrl(value)),
+        'must be an http(s) URL or ""',
+        (value) => value.replace(/\/$/, ''),
+    ],
+    clientId: [(value) => typeof value === 'string', 'must be a string'],
+    scopes: [isNonEmptyString, 'must be a non-empty string'],
+    roleClaim: [isNonEmptyString, 'must be a non-empty string'],
+    roleMap: [
+        (value) => isObject(value) && Object.values(value).every(isNonEmptyString),
+        'must map provider roles to app role names',
+        (value) => Object.fromEntries(Object.entries(value).map(([idpRole, appRole]) => [idpRole, appRole.toUpperCase()])),
+    ],
+};
+
+// Apply one group of settings from config.json, e.g. "auth"
+const applyGroup = (name, rawGroup, target, settings, problems) => {
+    if (rawGroup === undefined) return;
+    if (!isObject(rawGroup)) {
+        problems.push(`${name} must be an object`);
+        return;
+    }
+    Object.entries(rawGroup).forEach(([key, value]) => {
+        if (!(key in settings)) {
+            problems.push(`${name}.${key} is not a known ${name} setting`);
+            return;
+        }
+        const [check, problem, normalise = (valid) => valid] = settings[key];
+        if (check(value)) {
+            target[key] = normalise(value);
+        } else {
+            problems.push(`${name}.${key} ${problem}`);
+        }
+    });
+};
+
+/**
+ * Merge a parsed config.json over the defaults, field by field. Invalid
+ * fields are reported and skipped rather than failing the whole file.
+ * Returns { config, problems }.
+ */
+export const validateConfig = (raw) => {
+    const problems = [];
+    const result = {
+        ...DEFAULT_CONFIG,
+        thresholds: { ...DEFAULT_CONFIG.thresholds },
+        features: { ...DEFAULT_CONFIG.features },
+        telemetry: { ...DEFAULT_CONFIG.telemetry },
+        auth: { ...DEFAULT_CONFIG.auth },
+        sso: { ...DEFAULT_CONFIG.sso },
+    };
+
+    if (!isObject(raw)) {
+        return { config: result, problems: ['config.json must contain a JSON object'] };
+    }
+
+    if (raw.apiUrl !== undefined) {
+        if (isValidApiUrl(raw.apiUrl)) {
+            result.apiUrl = raw.apiUrl.trim().replace(/\/+$/, '');
+        } else {
+            problems.push('apiUrl must be an http(s) URL or a path starting with "/"');
+        }
+    }
+
+    if (raw.dashboardRefreshSeconds !== undefined) {
+        if (Number.isFinite(raw.dashboardRefreshSeconds) && raw.dashboardRefreshSeconds >= MIN_REFRESH_SECONDS) {
+            result.dashboardRefreshSeconds = raw.dashboardRefreshSeconds;
+        } else {
+            problems.push(`dashboardRefreshSeconds must be a number of at least ${MIN_REFRESH_SECONDS}`);
+        }
+    }
+
+    if (raw.mockApi !== undefined) {
+        if (typeof raw.mockApi === 'boolean') {
+            result.mockApi = raw.mockApi;
+        } else {
+            problems.push('mockApi must be true or false');
+        }
+    }
+
+    if (raw.thresholds !== undefined && !isObject(raw.thresholds)) {
+        problems.push('thresholds must be an object');
+    }
+    Object.entries(isObject(raw.thresholds) ? raw.thresholds : {}).forEach(([name, value]) => {
+        if (!(name in DEFAULT_CONFIG.thresholds)) {
+            problems.push(`thresholds.${name} is not a known threshold`);
+        } else if (Number.isInteger(value) && value >= 0) {
+            result.thresholds[name] = value;
+        } else {
+            problems.push(`thresholds.${name} must be a whole number of 0 or more`);
+        }
+    });
+
+    if (raw.features !== undefined && !isObject(raw.features)) {
+        problems.push('features must be an object');
+    }
+    Object.entries(isObject(raw.features) ? raw.features : {}).forEach(([name, value]) => {
+        if (!(name in DEFAULT_CONFIG.features)) {
+            problems.push(`features.${name} is not a known feature flag`);
+        } else if (typeof value === 'boolean') {
+            result.features[name] = value;
+        } else {
+            problems.push(`features.${name} must be true or false`);
+        }
+    });
+
+    if (raw.telemetry !== undefined && !isObject(raw.telemetry)) {
+        problems.push('telemetry must be an object');
+    }
+    Object.entries(isObject(raw.telemetry) ? raw.telemetry : {}).forEach(([name, value]) => {
+        if (name === 'endpoint') {
+            // An empty string switches telemetry off
+            if (value === '' || isValidApiUrl(value)) {
+                result.telemetry.endpoint = value.trim();
+            } else {
+                problems.push('telemetry.endpoint must be an http(s) URL, a path starting with "/" or ""');
+            }
+        } else if (name === 'sampleRate') {
+            if (Number.isFinite(value) && value >= 0 && value <= 1) {
+                result.telemetry.sampleRate = value;
+            } else {
+                problems.push('telemetry.sampleRate must be a number from 0 to 1');
+            }
+        } else {
+            problems.push(`telemetry.${name} is not a known telemetry setting`);
+        }
+    });
+
+    applyGroup('auth', raw.auth, result.auth, AUTH_SETTINGS, problems);
+    applyGroup('sso', raw.sso, result.sso, SSO_SETTINGS, problems);
+    if (result.auth.sessionWarningMinutes >= result.auth.idleTimeoutMinutes) {
+        problems.push('auth.sessionWarningMinutes must be less than auth.idleTimeoutMinutes');
+        result.auth.sessionWarningMinutes = Math.min(DEFAULT_CONFIG.auth.sessionWarningMinutes, result.auth.idleTimeoutMinutes / 2);
+    }
+
+    return { config: result, problems };
+};
+
+// Fetch and apply config.json. Never rejects: without a usable file the app
+// starts on the build-time settings.
+export const loadConfig = async () => {
+    try {
+        const response = await fetch(CONFIG_URL, { cache: 'no-store' });
+        // No config.json deployed - the normal case in local development. SPA
+        // fallbacks (and the dev server) answer the missing file with index.html.
+        if (!response.ok || !response.headers.get('content-type')?.includes('json')) {
+            return config;
+        }
+
+        const { config: loaded, problems } = validateConfig(await response.json());
+        problems.forEach((problem) => console.warn(`config.json: ${problem}`));
+        config = loaded;
+    } catch (error) {
+        console.warn('config.json could not be loaded, using build-time settings:', error);
+    }
+    return config;
+};
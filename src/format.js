@@ -0,0 +1,8 @@
+// Display formatting shared across pages
+
+// Seconds as a m:ss countdown, e.g. 95 -> "1:35"
+export const formatCountdown = (totalSeconds) => {
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${String(seconds).padStart(2, '0')}`;
+};
@@ -2,9 +2,28 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { loadConfig } from './config'
+import { initTelemetry } from './telemetry'
+import { registerServiceWorker } from './pwa'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// Settings such as the API URL must be in place before the first request
+loadConfig().then(async (config) => {
+  initTelemetry()
+
+  // The mock is a separate chunk, only downloaded when switched on
+  if (config.mockApi) {
+    const { installMockApi } = await import('./mock/mockApi')
+    installMockApi()
+  }
+
+  // Offline app shell; the dev server serves no worker
+  if (import.meta.env.PROD) {
+    registerServiceWorker()
+  }
+
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
@@ -0,0 +1,161 @@
+/**
+ * Sign-in handlers shared by both mocks
+ *
+ * mock/server.js and the in-browser mock (./mockApi.js) answer the account
+ * side of sign-in from here - account states, the required password change,
+ * TOTP two-factor and its enrolment, password changes and /auth/me - so the
+ * two cannot drift apart. Only uses what Node 20 and browsers both provide.
+ *
+ * Handlers return [status, payload] like the routes of either mock. Each mock
+ * passes in how it starts a session, which is where the two differ.
+ */
+const ISSUER = 'HFRAT';
+
+// --- TOTP (RFC 6238) -------------------------------------------------------
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Decode = (input) => {
+    const bits = [...input.replace(/=+$/, '').toUpperCase()]
+        .map((char) => BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0'))
+        .join('');
+    return new Uint8Array((bits.match(/.{8}/g) || []).map((byte) => parseInt(byte, 2)));
+};
+
+const generateSecret = () => {
+    return Array.from(crypto.getRandomValues(new Uint8Array(20)), (byte) => BASE32_ALPHABET[byte % 32]).join('');
+};
+
+const totp = async (secret, counter) => {
+    const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign']);
+    const message = new DataView(new ArrayBuffer(8));
+    message.setBigUint64(0, BigInt(counter));
+    const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (new DataView(hmac.buffer).getUint32(offset) & 0x7fffffff) % 1000000;
+    return String(code).padStart(6, '0');
+};
+
+// Accept the current 30s step and one step either side for clock drift
+const verifyTotp = async (secret, code) => {
+    const counter = Math.floor(Date.now() / 30000);
+    const codes = await Promise.all([-1, 0, 1].map((drift) => totp(secret, counter + drift)));
+    return codes.includes(code);
+};
+
+// Eight codes shaped like the seeded ones, e.g. "3f2a-9c1b"
+const createBackupCodes = () => Array.from({ length: 8 }, () => (
+    Array.from(crypto.getRandomValues(new Uint8Array(4)), (byte) => byte.toString(16).padStart(2, '0'))
+        .join('')
+        .replace(/(.{4})/, '$1-')
+));
+
+// --- Handlers --------------------------------------------------------------
+
+const findUser = (users, id) => users.find((user) => user.id === id) || null;
+
+/**
+ * Sign-in steps after the password has been checked. `startSession(user)`
+ * returns the mock's [status, payload, headers?] for a new session.
+ */
+export const createSignInFlow = (startSession) => {
+    const challenges = new Map(); // challenge token -> user id
+    const passwordChanges = new Map(); // change token -> user id
+    const pendingSecrets = new Map(); // user id -> secret awaiting first code
+
+    // Whatever comes after a usable account: a 2FA challenge or the session
+    const continueLogin = (user) => {
+        if (user.totp_secret) {
+            const challengeToken = crypto.randomUUID();
+            challenges.set(challengeToken, user.id);
+            return [200, { two_factor_required: true, challenge_token: challengeToken }];
+        }
+        return startSession(user);
+    };
+
+    return {
+        // Account states are only revealed once the password is right
+        login: (user) => {
+            if (user.deactivated) {
+                return [403, { error: 'Account deactivated', code: 'ACCOUNT_DEACTIVATED' }];
+            }
+            if (user.locked_until && Date.parse(user.locked_until) > Date.now()) {
+                return [423, { error: 'Account locked', code: 'ACCOUNT_LOCKED', locked_until: user.locked_until }];
+            }
+            if (user.must_change_password) {
+                const changeToken = crypto.randomUUID();
+                passwordChanges.set(changeToken, user.id);
+                return [200, { password_change_required: true, change_token: changeToken }];
+            }
+            return continueLogin(user);
+        },
+
+        requiredPasswordChange: (users, body) => {
+            const user = findUser(users, passwordChanges.get(body.change_token));
+            if (!user) return [401, { error: 'Your sign-in attempt has expired. Please sign in again.' }];
+            if (body.new_password === user.password) {
+                return [400, { errors: { password: 'New password must be different from the current one' } }];
+            }
+
+            passwordChanges.delete(body.change_token);
+            user.password = body.new_password;
+            user.must_change_password = false;
+            return continueLogin(user);
+        },
+
+        verifySecondFactor: async (users, body) => {
+            const user = findUser(users, challenges.get(body.challenge_token));
+            if (!user) return [401, { error: 'Your sign-in attempt has expired. Please sign in again.' }];
+
+            if (body.backup_code) {
+                const index = user.backup_codes.indexOf(body.backup_code);
+                if (index === -1) return [401, { error: 'Invalid backup code' }];
+                user.backup_codes.splice(index, 1);
+            } else if (!(await verifyTotp(user.totp_secret, body.code))) {
+                return [401, { error: 'Invalid or expired code' }];
+            }
+
+            challenges.delete(body.challenge_token);
+            return startSession(user);
+        },
+
+        setupTwoFactor: (user) => {
+            const secret = generateSecret();
+            pendingSecrets.set(user.id, secret);
+            const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+            return [200, { secret, otpauth_url: `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}` }];
+        },
+
+        enableTwoFactor: async (user, body) => {
+            const secret = pendingSecrets.get(user.id);
+            if (!secret) return [400, { error: 'Start two-factor setup first' }];
+            if (!(await verifyTotp(secret, body.code))) {
+                return [400, { error: 'Invalid code. Check the time on your device and try again.' }];
+            }
+
+            pendingSecrets.delete(user.id);
+            user.totp_secret = secret;
+            user.backup_codes = createBackupCodes();
+            return [200, { backup_codes: user.backup_codes }];
+        },
+    };
+};
+
+export const changePassword = (user, body) => {
+    if (body.current_password !== user.password) {
+        return [400, { errors: { current_password: 'Current password is incorrect' } }];
+    }
+    user.password = body.new_password;
+    return [200, { message: 'Password changed' }];
+};
+
+export const describeUser = (user, facilities) => [200, {
+    user: {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        facility: facilities.find((f) => f.id === user.facility_id) || null,
+        last_login_at: user.last_login_at || null,
+        two_factor_enabled: !!user.totp_secret,
+    },
+}];
@@ -0,0 +1,29 @@
+/**
+ * Route matching shared by both mocks
+ *
+ * Routes are keyed "METHOD /path/:param". Resolves a request to the first
+ * matching route's { key, handler, params }, or null.
+ */
+const matchRoute = (routes, method, path) => {
+    for (const [key, handler] of Object.entries(routes)) {
+        const [routeMethod, routePath] = key.split(' ');
+        if (routeMethod !== method) continue;
+
+        const routeParts = routePath.split('/');
+        const pathParts = path.split('/');
+        if (routeParts.length !== pathParts.length) continue;
+
+        const params = {};
+        const matches = routeParts.every((part, i) => {
+            if (part.startsWith(':')) {
+                params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+                return true;
+            }
+            return part === pathParts[i];
+        });
+        if (matches) return { key, handler, params };
+    }
+    return null;
+};
+
+export default matchRoute;
@@ -0,0 +1,322 @@
+import axios, { AxiosError } from 'axios';
+import api from '../api/axios';
+import { createSeed } from './seed';
+import { createSignInFlow, changePassword, describeUser } from './auth';
+import matchRoute from './matchRoute';
+
+/**
+ * In-browser mock API
+ *
+ * Answers the app's requests from an axios adapter instead of the network, so
+ * the frontend runs with no backend at all - for offline development,
+ * training sessions and automated UI tests. Switched on with `"mockApi": true`
+ * in config.json or VITE_MOCK_API=true, and loaded only then.
+ *
+ * Covers sign-in (including 2FA, its enrolment and "view as user"), users,
+ * facilities, reports and the monitor dashboard for the accounts in ./seed.js.
+ * The seed and the account side of sign-in (./auth.js) are shared with
+ * mock/server.js. Changes are kept in localStorage, so they survive a reload;
+ * resetMockData() - or window.hfratMock.reset() from the console - starts
+ * over from the seed. Token mode only.
+ */
+const STORAGE_KEY = 'mock_api_db';
+const ACCESS_TOKEN_TTL = 15 * 60; // seconds
+// Enough delay for loading states to show, as they would against a server
+const LATENCY_MS = 250;
+
+let db = null;
+
+const loadDb = () => {
+    try {
+        db = JSON.parse(localStorage.getItem(STORAGE_KEY)) || createSeed();
+    } catch {
+        db = createSeed();
+    }
+};
+
+const saveDb = () => localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+
+export const resetMockData = () => {
+    db = createSeed();
+    saveDb();
+};
+
+const nextId = (records) => Math.max(0, ...records.map((record) => record.id)) + 1;
+
+// --- Tokens ----------------------------------------------------------------
+
+const encode = (value) => btoa(JSON.stringify(value)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const decode = (token) => {
+    try {
+        return JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    } catch {
+        return null;
+    }
+};
+
+// Unsigned JWT-shaped tokens; refresh tokens carry everything needed to renew,
+// so a session outlives a page reload without server-side state
+const createToken = (claims, ttl) => {
+    const now = Math.floor(Date.now() / 1000);
+    return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ ...claims, iat: now, exp: now + ttl })}.mock`;
+};
+
+const issueSession = (user, impersonator = null) => {
+    if (!impersonator) user.last_login_at = new Date().toISOString();
+    const claims = { sub: String(user.id), email: user.email, role: user.role };
+    if (impersonator) claims.impersonator = impersonator.email;
+    return {
+        access_token: createToken(claims, ACCESS_TOKEN_TTL),
+        refresh_token: createToken({ sub: String(user.id), impersonator_id: impersonator?.id ?? null, type: 'refresh' }, 7 * 24 * 60 * 60),
+        role: user.role,
+        facility_id: user.facility_id,
+        two_factor_enabled: !!user.totp_secret,
+    };
+};
+
+const readClaims = (headers) => {
+    const claims = decode(String(headers?.Authorization || '').replace(/^Bearer /, ''));
+    return claims && claims.exp * 1000 > Date.now() ? claims : null;
+};
+
+const findUser = (id) => db.users.find((user) => String(user.id) === String(id)) || null;
+
+// --- Routes ----------------------------------------------------------------
+
+const signIn = createSignInFlow((user) => [200, issueSession(user)]);
+
+const publicUser = ({ id, email, role, facility_id, created_at }) => ({ id, email, role, facility_id, created_at });
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const dashboardEntry = (facility) => {
+    const report = db.reports.find((r) => r.facility_id === facility.id);
+    return {
+        facility_id: facility.id,
+        facility_name: facility.name,
+        country: facility.country,
+        city: facility.city,
+        location: `${facility.city}, ${facility.country}`,
+        icu_beds_available: report?.icu_beds_available ?? null,
+        ventilators_available: report?.ventilators_available ?? null,
+        staff_on_duty: report?.staff_on_duty ?? null,
+        critical: report?.icu_beds_available === 0,
+        last_update: report?.updated_at ?? null,
+    };
+};
+
+// Handlers get { body, params, user } - `user` from the bearer token - and
+// return [status, payload]
+const routes = {
+    'POST /auth/login': ({ body }) => {
+        const user = db.users.find((u) => u.email === body.email && u.password === body.password);
+        if (!user) return [401, { error: 'Invalid email or password' }];
+        return signIn.login(user);
+    },
+
+    'POST /auth/required-password-change': ({ body }) => signIn.requiredPasswordChange(db.users, body),
+
+    'POST /auth/2fa/verify': ({ body }) => signIn.verifySecondFactor(db.users, body),
+
+    'POST /auth/refresh': ({ headers }) => {
+        const claims = readClaims(headers);
+        const user = claims?.type === 'refresh' && findUser(claims.sub);
+        if (!user) return [401, { error: 'Invalid refresh token' }];
+        return [200, issueSession(user, findUser(claims.impersonator_id))];
+    },
+
+    'POST /auth/logout': () => [204, null],
+
+    // Nothing is emailed; the confirmation is all the page needs
+    'POST /auth/forgot-password': () => [200, { message: 'If the account exists, a reset link has been sent' }],
+
+    'GET /auth/me': ({ user }) => describeUser(user, db.facilities),
+
+    'POST /auth/change-password': ({ user, body }) => changePassword(user, body),
+
+    'POST /auth/2fa/setup': ({ user }) => signIn.setupTwoFactor(user),
+
+    'POST /auth/2fa/enable': ({ user, body }) => signIn.enableTwoFactor(user, body),
+
+    'GET /admin/users': ({ user }) => {
+        if (user.role !== 'admin') return [403, { error: 'Forbidden' }];
+        return [200, { users: db.users.map(publicUser) }];
+    },
+
+    'POST /admin/users': ({ user, body }) => {
+        if (user.role !== 'admin') return [403, { error: 'Forbidden' }];
+
+        const errors = {};
+        if (!body.email) errors.email = 'Email is required';
+        else if (db.users.some((u) => u.email === body.email)) errors.email = 'A user with this email already exists';
+        if (!['admin', 'reporter', 'monitor'].includes(body.role)) errors.role = 'Role is invalid';
+        if (body.role === 'reporter' && !db.facilities.some((f) => f.id === body.facility_id)) {
+            errors.facility_id = 'Facility is required for reporters';
+        }
+        if (Object.keys(errors).length > 0) return [400, { errors }];
+
+        const created = {
+            id: nextId(db.users),
+            email: body.email,
+            password: body.password,
+            role: body.role,
+            facility_id: body.role === 'reporter' ? body.facility_id : null,
+            totp_secret: null,
+            backup_codes: [],
+            created_at: new Date().toISOString(),
+        };
+        db.users.push(created);
+        return [201, { user: publicUser(created) }];
+    },
+
+    'POST /admin/users/:id/impersonate': ({ user, params }) => {
+        if (user.role !== 'admin') return [403, { error: 'Forbidden' }];
+
+        const target = findUser(params.id);
+        if (!target) return [404, { error: 'User not found' }];
+        if (target.role === 'admin') return [403, { error: 'Admin accounts cannot be impersonated' }];
+        return [200, issueSession(target, user)];
+    },
+
+    'GET /admin/facilities': ({ user }) => {
+        if (user.role !== 'admin') return [403, { error: 'Forbidden' }];
+        return [200, { facilities: db.facilities }];
+    },
+
+    'POST /admin/facilities': ({ user, body }) => {
+        if (user.role !== 'admin') return [403, { error: 'Forbidden' }];
+
+        const errors = {};
+        ['name', 'country', 'city'].forEach((field) => {
+            if (!String(body[field] || '').trim()) errors[field] = 'This field is required';
+        });
+        if (db.facilities.some((f) => f.name.toLowerCase() === String(body.name || '').trim().toLowerCase())) {
+            errors.name = 'A facility with this name already exists';
+        }
+        if (Object.keys(errors).length > 0) return [400, { errors }];
+
+        const facility = {
+            id: nextId(db.facilities),
+            name: body.name.trim(),
+            country: body.country.trim(),
+            city: body.city.trim(),
+            created_at: new Date().toISOString(),
+        };
+        db.facilities.push(facility);
+        return [201, { facility }];
+    },
+
+    'GET /reporter/reports/me': ({ user }) => [200, {
+        report: db.reports.find((r) => r.facility_id === user.facility_id) || null,
+        facility: db.facilities.find((f) => f.id === user.facility_id) || null,
+    }],
+
+    'POST /reporter/reports': ({ user, body, headers }) => {
+        if (!['reporter', 'admin'].includes(user.role)) return [403, { error: 'Forbidden' }];
+        if (user.role === 'reporter' && body.facility_id !== user.facility_id) {
+            return [403, { error: 'You can only report for your own facility' }];
+        }
+        if (!db.facilities.some((f) => f.id === body.facility_id)) {
+            return [400, { error: 'Facility not found' }];
+        }
+
+        const errors = {};
+        ['icu_beds_available', 'ventilators_available', 'staff_on_duty'].forEach((field) => {
+            if (!isNonNegativeInteger(body[field])) errors[field] = 'Must be a whole number of 0 or more';
+        });
+        if (Object.keys(errors).length > 0) return [400, { errors }];
+
+        // A resent submission (same Idempotency-Key) is answered, not applied again
+        db.idempotencyKeys = db.idempotencyKeys || {};
+        const key = headers?.['Idempotency-Key'];
+        if (key && db.idempotencyKeys[key]) {
+            return [200, { report: db.reports.find((r) => r.id === db.idempotencyKeys[key]) }];
+        }
+
+        // Reports synced from the offline queue keep the time they were captured
+        const now = new Date().toISOString();
+        const capturedAt = typeof body.captured_at === 'string' && !Number.isNaN(Date.parse(body.captured_at))
+            ? new Date(body.captured_at).toISOString()
+            : now;
+        let report = db.reports.find((r) => r.facility_id === body.facility_id);
+        if (!report) {
+            report = { id: nextId(db.reports), facility_id: body.facility_id, created_at: now };
+            db.reports.push(report);
+        }
+        // ...and never overwrite a report captured after them
+        if (!report.updated_at || report.updated_at <= capturedAt) {
+            Object.assign(report, {
+                icu_beds_available: body.icu_beds_available,
+                ventilators_available: body.ventilators_available,
+                staff_on_duty: body.staff_on_duty,
+                updated_at: capturedAt,
+            });
+        }
+        if (key) db.idempotencyKeys[key] = report.id;
+        return [201, { report }];
+    },
+
+    'GET /monitor/dashboard': ({ user }) => {
+        if (!['monitor', 'admin'].includes(user.role)) return [403, { error: 'Forbidden' }];
+        return [200, { facilities: db.facilities.map(dashboardEntry) }];
+    },
+};
+
+// Endpoints that are called before there is a session
+const PUBLIC_ROUTES = [
+    'POST /auth/login',
+    'POST /auth/required-password-change',
+    'POST /auth/2fa/verify',
+    'POST /auth/refresh',
+    'POST /auth/logout',
+    'POST /auth/forgot-password',
+];
+
+const handleRequest = async (config) => {
+    const method = config.method.toUpperCase();
+    const url = new URL(axios.getUri(config), window.location.origin);
+    // Everything the app calls lives under /api
+    const path = url.pathname.replace(/^.*?\/api(?=\/)/, '');
+    const match = matchRoute(routes, method, path);
+    if (!match) return [404, { error: `No mock for ${method} ${path}` }];
+
+    const claims = readClaims(config.headers);
+    const user = claims?.type !== 'refresh' && claims ? findUser(claims.sub) : null;
+    if (!user && !PUBLIC_ROUTES.includes(match.key)) {
+        return [401, { error: 'Unauthorized' }];
+    }
+
+    const body = typeof config.data === 'string' ? JSON.parse(config.data || '{}') : (config.data || {});
+    const result = await match.handler({ body, params: match.params, headers: config.headers, user });
+    saveDb();
+    return result;
+};
+
+// axios adapter: resolve like a real response, reject non-2xx as AxiosError
+const mockAdapter = async (config) => {
+    await new Promise((resolve) => setTimeout(resolve, LATENCY_MS));
+    const [status, data] = await handleRequest(config);
+    const response = { data, status, statusText: String(status), headers: {}, config, request: {} };
+
+    if (!config.validateStatus || config.validateStatus(status)) {
+        return response;
+    }
+    throw new AxiosError(
+        `Request failed with status code ${status}`,
+        status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+        config,
+        response.request,
+        response
+    );
+};
+
+// Route every request - the app's instance and the bare axios calls used for
+// token refresh - through the mock
+export const installMockApi = () => {
+    loadDb();
+    axios.defaults.adapter = mockAdapter;
+    api.defaults.adapter = mockAdapter;
+    window.hfratMock = { reset: resetMockData };
+    console.info('HFRAT is running against the in-browser mock API. Sign in as admin@hfrat.local / Admin123!');
+};
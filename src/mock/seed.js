@@ -0,0 +1,32 @@
+// Starting data for both mocks - mock/server.js takes the users and
+// facilities, the in-browser mock API all of it. Facilities and reports give
+// every role something to look at.
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+export const createSeed = () => ({
+    users: [
+        { id: 1, email: 'admin@hfrat.local', password: 'Admin123!', role: 'admin', facility_id: null, totp_secret: 'JBSWY3DPEHPK3PXP', backup_codes: ['1111-1111', '2222-2222'], created_at: '2024-01-01T00:00:00Z' },
+        { id: 2, email: 'reporter@hfrat.local', password: 'Reporter123!', role: 'reporter', facility_id: 1, totp_secret: null, backup_codes: [], created_at: '2024-01-01T00:00:00Z' },
+        { id: 3, email: 'monitor@hfrat.local', password: 'Monitor123!', role: 'monitor', facility_id: null, totp_secret: null, backup_codes: [], created_at: '2024-01-01T00:00:00Z' },
+        { id: 4, email: 'newstaff@hfrat.local', password: 'Welcome123!', role: 'reporter', facility_id: 1, totp_secret: null, backup_codes: [], created_at: '2024-01-01T00:00:00Z', must_change_password: true },
+        { id: 5, email: 'locked@hfrat.local', password: 'Locked123!', role: 'monitor', facility_id: null, totp_secret: null, backup_codes: [], created_at: '2024-01-01T00:00:00Z', locked_until: new Date(Date.now() + 15 * 60 * 1000).toISOString() },
+        { id: 6, email: 'inactive@hfrat.local', password: 'Inactive123!', role: 'reporter', facility_id: 1, totp_secret: null, backup_codes: [], created_at: '2024-01-01T00:00:00Z', deactivated: true },
+        { id: 7, email: 'kampala.reporter@hfrat.local', password: 'Reporter123!', role: 'reporter', facility_id: 3, totp_secret: null, backup_codes: [], created_at: '2024-02-15T00:00:00Z' },
+    ],
+    facilities: [
+        { id: 1, name: 'Central Hospital', country: 'Kenya', city: 'Nairobi', created_at: '2024-01-01T00:00:00Z' },
+        { id: 2, name: 'Coast General Hospital', country: 'Kenya', city: 'Mombasa', created_at: '2024-01-01T00:00:00Z' },
+        { id: 3, name: 'Mulago National Referral Hospital', country: 'Uganda', city: 'Kampala', created_at: '2024-01-01T00:00:00Z' },
+        { id: 4, name: 'Kilimanjaro Christian Medical Centre', country: 'Tanzania', city: 'Moshi', created_at: '2024-01-01T00:00:00Z' },
+        { id: 5, name: 'Muhimbili National Hospital', country: 'Tanzania', city: 'Dar es Salaam', created_at: '2024-01-01T00:00:00Z' },
+    ],
+    // Latest report per facility; facility 5 has never reported
+    reports: [
+        { id: 1, facility_id: 1, icu_beds_available: 12, ventilators_available: 8, staff_on_duty: 45, created_at: daysAgo(30), updated_at: hoursAgo(2) },
+        { id: 2, facility_id: 2, icu_beds_available: 3, ventilators_available: 2, staff_on_duty: 18, created_at: daysAgo(30), updated_at: hoursAgo(20) },
+        { id: 3, facility_id: 3, icu_beds_available: 0, ventilators_available: 1, staff_on_duty: 30, created_at: daysAgo(30), updated_at: hoursAgo(5) },
+        { id: 4, facility_id: 4, icu_beds_available: 7, ventilators_available: 5, staff_on_duty: 26, created_at: daysAgo(30), updated_at: daysAgo(3) },
+    ],
+});
@@ -0,0 +1,130 @@
+import { useState, useRef, useCallback, useMemo, useEffect } from 'react';
+import { ToastContext } from './toastContext';
+
+/**
+ * Toast notifications
+ *
+ * App-wide stack of short messages in the top-right corner, newest at the
+ * bottom. Toasts close themselves after a few seconds unless shown with
+ * `duration: 0`; only the most recent few are kept on screen.
+ */
+const DEFAULT_DURATION = 5000;
+const MAX_TOASTS = 5;
+
+const SEVERITY_STYLES = {
+    success: { box: 'bg-green-50 border-green-500', icon: 'text-green-500', text: 'text-green-800', action: 'text-green-700 hover:text-green-900' },
+    error: { box: 'bg-red-50 border-red-500', icon: 'text-red-500', text: 'text-red-800', action: 'text-red-700 hover:text-red-900' },
+    warning: { box: 'bg-amber-50 border-amber-500', icon: 'text-amber-500', text: 'text-amber-800', action: 'text-amber-700 hover:text-amber-900' },
+    info: { box: 'bg-indigo-50 border-indigo-500', icon: 'text-indigo-500', text: 'text-indigo-800', action: 'text-indigo-700 hover:text-indigo-900' },
+};
+
+const SEVERITY_ICONS = {
+    success: 'M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z',
+    error: 'M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z',
+    warning: 'M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z',
+    info: 'M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7-4a1 1 0 11-2 0 1 1 0 012 0zM9 9a1 1 0 000 2v3a1 1 0 001 1h1a1 1 0 100-2v-3a1 1 0 00-1-1H9z',
+};
+
+let nextToastId = 0;
+
+const Toast = ({ toast, onDismiss }) => {
+    const styles = SEVERITY_STYLES[toast.severity] || SEVERITY_STYLES.info;
+
+    const handleAction = () => {
+        toast.action.onClick();
+        onDismiss(toast.id);
+    };
+
+    return (
+        <div
+            role={toast.severity === 'error' ? 'alert' : 'status'}
+            className={`pointer-events-auto border-l-4 p-4 rounded-lg shadow-lg ${styles.box}`}
+        >
+            <div className="flex items-start">
+                <svg className={`h-5 w-5 flex-shrink-0 ${styles.icon}`} viewBox="0 0 20 20" fill="currentColor">
+                    <path fillRule="evenodd" d={SEVERITY_ICONS[toast.severity] || SEVERITY_ICONS.info} clipRule="evenodd" />
+                </svg>
+                <div className="ml-3 flex-1">
+                    {toast.title && <p className={`text-sm font-semibold ${styles.text}`}>{toast.title}</p>}
+                    <p className={`text-sm font-medium ${styles.text}`}>{toast.message}</p>
+                    {toast.action && (
+                        <button
+                            type="button"
+                            onClick={handleAction}
+                            className={`mt-2 text-sm font-semibold underline ${styles.action}`}
+                        >
+                            {toast.action.label}
+                        </button>
+                    )}
+                </div>
+                <button
+                    type="button"
+                    onClick={() => onDismiss(toast.id)}
+                    className={`ml-3 flex-shrink-0 ${styles.icon} hover:opacity-75`}
+                    aria-label="Dismiss notification"
+                >
+                    <svg className="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export const ToastProvider = ({ children }) => {
+    const [toasts, setToasts] = useState([]);
+    // Toast id -> auto-dismiss timer
+    const timers = useRef(new Map());
+
+    const dismiss = useCallback((id) => {
+        clearTimeout(timers.current.get(id));
+        timers.current.delete(id);
+        setToasts((prev) => prev.filter((toast) => toast.id !== id));
+    }, []);
+
+    const show = useCallback(({ id = `toast-${++nextToastId}`, severity = 'info', message, title, action, duration = DEFAULT_DURATION }) => {
+        clearTimeout(timers.current.get(id));
+        timers.current.delete(id);
+        if (duration > 0) {
+            timers.current.set(id, setTimeout(() => dismiss(id), duration));
+        }
+
+        const toast = { id, severity, message, title, action };
+        setToasts((prev) => {
+            const next = prev.some((existing) => existing.id === id)
+                ? prev.map((existing) => (existing.id === id ? toast : existing))
+                : [...prev, toast];
+            return next.slice(-MAX_TOASTS);
+        });
+        return id;
+    }, [dismiss]);
+
+    useEffect(() => {
+        const pending = timers.current;
+        return () => pending.forEach((timer) => clearTimeout(timer));
+    }, []);
+
+    const value = useMemo(() => {
+        const withSeverity = (severity) => (message, options = {}) => show({ ...options, severity, message });
+        return {
+            show,
+            dismiss,
+            success: withSeverity('success'),
+            error: withSeverity('error'),
+            warning: withSeverity('warning'),
+            info: withSeverity('info'),
+        };
+    }, [show, dismiss]);
+
+    return (
+        <ToastContext.Provider value={value}>
+            {children}
+            <div aria-live="polite" className="fixed top-4 right-4 z-50 flex flex-col gap-3 w-full max-w-sm pointer-events-none">
+                {toasts.map((toast) => (
+                    <Toast key={toast.id} toast={toast} onDismiss={dismiss} />
+                ))}
+            </div>
+        </ToastContext.Provider>
+    );
+};
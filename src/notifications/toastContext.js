@@ -0,0 +1,4 @@
+import { createContext } from 'react';
+
+// Provided by ToastProvider; read it through useToast
+export const ToastContext = createContext(null);
@@ -0,0 +1,44 @@
+import { useContext, useEffect, useId } from 'react';
+import { ToastContext } from './toastContext';
+import { normalizeError } from '../api/errors';
+
+/**
+ * Show notifications from any page:
+ *
+ *   const toast = useToast();
+ *   toast.success('Facility added');
+ *   toast.error(message, { action: { label: 'Retry', onClick: retry } });
+ *
+ * Options: `title`, `action` ({ label, onClick }), `duration` in ms (0 keeps
+ * the toast until dismissed) and `id` (showing the same id again replaces
+ * that toast instead of stacking a new one). Each call returns the id.
+ */
+const useToast = () => {
+    const context = useContext(ToastContext);
+    if (!context) {
+        throw new Error('useToast must be used within a ToastProvider');
+    }
+    return context;
+};
+
+// Keep an error toast up while `error` is set, e.g. a failed page load, with
+// its message (or `fallbackMessage`) and `onRetry` as the action. It does not
+// time out: a failed load stays on screen until a refetch succeeds and clears
+// the error. Keyed on the error itself, so a retry that fails again brings
+// the toast back.
+export const useErrorToast = (error, fallbackMessage, onRetry) => {
+    const toast = useToast();
+    const id = useId();
+
+    useEffect(() => {
+        if (!error) return undefined;
+        toast.error(normalizeError(error, fallbackMessage).message, {
+            id,
+            duration: 0,
+            action: onRetry ? { label: 'Retry', onClick: () => Promise.resolve(onRetry()).catch(() => {}) } : undefined,
+        });
+        return () => toast.dismiss(id);
+    }, [toast, id, error, fallbackMessage, onRetry]);
+};
+
+export default useToast;
@@ -0,0 +1,230 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import { validatePassword, PASSWORD_POLICY_HINT } from '../auth/passwordPolicy';
+import { authApi, normalizeError, useQuery, QUERY_KEYS } from '../api';
+import useToast, { useErrorToast } from '../notifications/useToast';
+
+const EMPTY_PASSWORD_FORM = { current_password: '', new_password: '', confirm_password: '' };
+
+const fetchAccount = async (config) => {
+    const data = await authApi.getMe(config);
+    return data.user || data;
+};
+
+const Account = () => {
+    const { user, role } = useAuth();
+    const { data: account, error: loadError, isLoading, refetch } = useQuery(QUERY_KEYS.ACCOUNT, fetchAccount);
+    const toast = useToast();
+
+    // Password form state
+    const [formData, setFormData] = useState(EMPTY_PASSWORD_FORM);
+    const [formErrors, setFormErrors] = useState({});
+    const [submitting, setSubmitting] = useState(false);
+
+    useErrorToast(loadError, 'Failed to load account details. Please try again.', refetch);
+
+    const validateForm = () => {
+        const errors = {};
+
+        if (!formData.current_password) {
+            errors.current_password = 'Current password is required';
+        }
+
+        const passwordError = validatePassword(formData.new_password);
+        if (passwordError) {
+            errors.new_password = passwordError;
+        } else if (formData.new_password === formData.current_password) {
+            errors.new_password = 'New password must be different from the current one';
+        }
+
+        if (!formData.confirm_password) {
+            errors.confirm_password = 'Please confirm your new password';
+        } else if (formData.confirm_password !== formData.new_password) {
+            errors.confirm_password = 'Passwords do not match';
+        }
+
+        return errors;
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        // Clear error for this field
+        if (formErrors[name]) {
+            setFormErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormErrors({});
+
+        // Validate form
+        const errors = validateForm();
+        if (Object.keys(errors).length > 0) {
+            setFormErrors(errors);
+            return;
+        }
+
+        setSubmitting(true);
+
+        try {
+            await authApi.changePassword(formData.current_password, formData.new_password);
+
+            setFormData(EMPTY_PASSWORD_FORM);
+            toast.success('Your password has been changed.');
+        } catch (err) {
+            console.error('Error changing password:', err);
+            const { message, fieldErrors } = normalizeError(err, 'Failed to change password. Please try again.');
+            if (fieldErrors) {
+                setFormErrors(fieldErrors);
+            } else {
+                toast.error(message);
+            }
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const formatDateTime = (dateString) => {
+        if (!dateString) return 'Never';
+        return new Date(dateString).toLocaleString();
+    };
+
+    const facility = account?.facility;
+    const details = [
+        { label: 'Email', value: account?.email || user?.email },
+        { label: 'Role', value: (account?.role || role)?.toUpperCase() },
+        {
+            label: 'Assigned facility',
+            value: facility
+                ? `${facility.name}${facility.city && facility.country ? ` (${facility.city}, ${facility.country})` : ''}`
+                : 'None',
+        },
+        { label: 'Last login', value: formatDateTime(account?.last_login_at) },
+    ];
+
+    const passwordFields = [
+        { name: 'current_password', label: 'Current password', autoComplete: 'current-password' },
+        { name: 'new_password', label: 'New password', autoComplete: 'new-password' },
+        { name: 'confirm_password', label: 'Confirm new password', autoComplete: 'new-password' },
+    ];
+
+    if (isLoading) {
+        return (
+            <div className="flex items-center justify-center min-h-[60vh]">
+                <div className="text-center">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
+                    <p className="mt-4 text-gray-600">Loading account...</p>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 py-8">
+            <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
+                {/* Header */}
+                <div className="mb-8">
+                    <h1 className="text-4xl font-bold text-gray-900 flex items-center space-x-3">
+                        <svg className="w-10 h-10 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5.121 17.804A13.937 13.937 0 0112 16c2.5 0 4.847.655 6.879 1.804M15 10a3 3 0 11-6 0 3 3 0 016 0zm6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
+                        </svg>
+                        <span>My Account</span>
+                    </h1>
+                    <p className="mt-3 text-lg text-gray-600">Your account details and sign-in settings</p>
+                </div>
+
+                {/* Account Details */}
+                <div className="mb-8 bg-white rounded-2xl shadow-xl overflow-hidden">
+                    <div className="px-8 py-6 border-b border-gray-200 bg-gradient-to-r from-gray-50 to-white">
+                        <h2 className="text-xl font-bold text-gray-900">Account details</h2>
+                    </div>
+                    <dl className="divide-y divide-gray-200">
+                        {details.map(({ label, value }) => (
+                            <div key={label} className="px-8 py-4 grid grid-cols-3 gap-4">
+                                <dt className="text-sm font-semibold text-gray-500">{label}</dt>
+                                <dd className="col-span-2 text-sm text-gray-900">{value}</dd>
+                            </div>
+                        ))}
+                        <div className="px-8 py-4 grid grid-cols-3 gap-4">
+                            <dt className="text-sm font-semibold text-gray-500">Two-factor authentication</dt>
+                            <dd className="col-span-2 text-sm text-gray-900">
+                                {user?.sso ? (
+                                    <span className="text-gray-600">Managed by your organisation's sign-in</span>
+                                ) : user?.two_factor_enabled ? (
+                                    <span className="text-green-700 font-medium">Enabled</span>
+                                ) : (
+                                    <Link to="/two-factor/setup" className="font-medium text-indigo-600 hover:text-indigo-500">
+                                        Set up two-factor authentication
+                                    </Link>
+                                )}
+                            </dd>
+                        </div>
+                    </dl>
+                </div>
+
+                {/* Change Password - SSO accounts use the identity provider's password */}
+                {user?.sso ? (
+                    <div className="bg-white rounded-2xl shadow-xl px-8 py-6">
+                        <h2 className="text-xl font-bold text-gray-900">Password</h2>
+                        <p className="mt-2 text-sm text-gray-600">
+                            You sign in with your organisation's single sign-on. Change your password with your identity provider.
+                        </p>
+                    </div>
+                ) : (
+                    <div className="bg-white rounded-2xl shadow-xl overflow-hidden">
+                        <div className="bg-gradient-to-r from-indigo-600 to-purple-600 px-8 py-6">
+                            <h2 className="text-xl font-bold text-white">Change password</h2>
+                            <p className="text-indigo-100 mt-1">{PASSWORD_POLICY_HINT}</p>
+                        </div>
+
+                        <form onSubmit={handleSubmit} className="p-8">
+                            <div className="grid grid-cols-1 gap-6">
+                                {passwordFields.map(({ name, label, autoComplete }) => (
+                                    <div key={name}>
+                                        <label htmlFor={name} className="block text-sm font-semibold text-gray-700 mb-2">
+                                            {label}
+                                            <span className="text-red-500"> *</span>
+                                        </label>
+                                        <input
+                                            type="password"
+                                            id={name}
+                                            name={name}
+                                            autoComplete={autoComplete}
+                                            value={formData[name]}
+                                            onChange={handleInputChange}
+                                            className={`w-full px-4 py-3 border-2 ${formErrors[name]
+                                                ? 'border-red-400 bg-red-50'
+                                                : 'border-gray-200 focus:border-indigo-500'
+                                                } rounded-xl focus:outline-none focus:ring-4 focus:ring-indigo-200 transition-all`}
+                                        />
+                                        {formErrors[name] && (
+                                            <p className="mt-2 text-sm text-red-600">{formErrors[name]}</p>
+                                        )}
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div className="flex justify-end mt-8 pt-6 border-t border-gray-200">
+                                <button
+                                    type="submit"
+                                    disabled={submitting}
+                                    className={`px-8 py-3 rounded-xl text-white font-bold shadow-lg transition-all transform ${submitting
+                                        ? 'bg-gray-400 cursor-not-allowed'
+                                        : 'bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 hover:-translate-y-0.5'
+                                        }`}
+                                >
+                                    {submitting ? 'Changing...' : 'Change password'}
+                                </button>
+                            </div>
+                        </form>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default Account;
@@ -0,0 +1,108 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { authApi, normalizeError } from '../api';
+import useToast from '../notifications/useToast';
+
+const ForgotPassword = () => {
+    const toast = useToast();
+    const [email, setEmail] = useState('');
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [sent, setSent] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+
+        if (!email.trim()) {
+            setError('Email is required');
+            return;
+        } else if (!/\S+@\S+\.\S+/.test(email)) {
+            setError('Email is invalid');
+            return;
+        }
+
+        setLoading(true);
+
+        try {
+            await authApi.requestPasswordReset(email);
+            // Same confirmation whether or not the account exists, so the
+            // form cannot be used to discover registered emails
+            setSent(true);
+        } catch (err) {
+            console.error('Forgot password error:', err);
+            const { message, fieldErrors } = normalizeError(err, 'An unexpected error occurred. Please try again.');
+            if (fieldErrors?.email) {
+                setError(fieldErrors.email);
+            } else {
+                toast.error(message);
+            }
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    return (
+        <div className="min-h-screen w-full flex items-center justify-center bg-gray-50 px-6 py-12">
+            <div className="w-full max-w-md">
+                <div className="bg-white rounded-2xl shadow-xl p-8 sm:p-10">
+                    <div className="text-center mb-8">
+                        <h2 className="text-2xl font-bold text-gray-900">Forgot your password?</h2>
+                        <p className="mt-2 text-gray-500">
+                            Enter your email address and we will send you a link to reset it.
+                        </p>
+                    </div>
+
+                    {sent ? (
+                        <div className="bg-green-50 border border-green-200 rounded-xl p-4">
+                            <p className="text-sm text-green-800 font-medium">
+                                If an account exists for {email}, a password reset link is on its way.
+                                The link expires after a short time, so use it soon.
+                            </p>
+                        </div>
+                    ) : (
+                        <form className="space-y-6" onSubmit={handleSubmit}>
+                            <div>
+                                <label htmlFor="email" className="block text-sm font-semibold text-gray-700 mb-2">
+                                    Email address
+                                </label>
+                                <input
+                                    id="email"
+                                    name="email"
+                                    type="email"
+                                    autoComplete="email"
+                                    value={email}
+                                    onChange={(e) => setEmail(e.target.value)}
+                                    className={`block w-full px-4 py-3.5 border-2 ${error ? 'border-red-300 focus:border-red-500 focus:ring-red-200' : 'border-gray-200 focus:border-indigo-500 focus:ring-indigo-200'} rounded-xl text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-4 transition-all duration-200`}
+                                    placeholder="name@company.com"
+                                />
+                                {error && (
+                                    <p className="mt-2 text-sm text-red-600">{error}</p>
+                                )}
+                            </div>
+
+                            <button
+                                type="submit"
+                                disabled={loading}
+                                className={`w-full flex justify-center items-center py-4 px-6 rounded-xl text-white font-semibold text-base shadow-lg shadow-indigo-500/30 ${loading
+                                    ? 'bg-indigo-400 cursor-not-allowed'
+                                    : 'bg-indigo-600 hover:bg-indigo-700 hover:shadow-xl hover:shadow-indigo-500/40 active:scale-[0.98]'
+                                    } transition-all duration-200`}
+                            >
+                                {loading ? 'Sending...' : 'Send reset link'}
+                            </button>
+                        </form>
+                    )}
+
+                    <p className="mt-8 text-center text-sm">
+                        <Link to="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+                            Back to sign in
+                        </Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ForgotPassword;
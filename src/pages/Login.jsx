@@ -1,16 +1,72 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../auth/AuthContext';
-import api from '../api/axios';
+import { authApi, normalizeError } from '../api';
+import { getSafeRedirect } from '../auth/redirects';
+import { isSsoEnabled, startSsoLogin } from '../auth/oidc';
+import { getRoleHome } from '../routes';
+import { formatCountdown } from '../format';
+import TwoFactorChallenge from '../components/TwoFactorChallenge';
+import PasswordChangeRequired from '../components/PasswordChangeRequired';
+
+// Seconds to wait after a 429, from the Retry-After header (seconds or an
+// HTTP date) or a `retry_after` body field; one minute if neither is usable
+const getRetryAfterSeconds = (response) => {
+    const value = response.headers?.['retry-after'] ?? response.data?.retry_after;
+    if (value === undefined || value === null || value === '') return 60;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(1, Math.ceil(seconds));
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? 60 : Math.max(1, Math.ceil((date - Date.now()) / 1000));
+};
 
 const Login = () => {
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [errors, setErrors] = useState({});
     const [loading, setLoading] = useState(false);
+    const [ssoLoading, setSsoLoading] = useState(false);
+    // Pending 2FA challenge from /auth/login, if the account has 2FA enabled
+    const [challenge, setChallenge] = useState(null);
+    // Pending forced password change from /auth/login
+    const [passwordChange, setPasswordChange] = useState(null);
+    // Locked or deactivated account reported by /auth/login
+    const [accountStatus, setAccountStatus] = useState(null);
+    // End of a rate-limit wait (ms timestamp) and the clock driving its countdown
+    const [retryAt, setRetryAt] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
     const navigate = useNavigate();
+    const location = useLocation();
     const { login } = useAuth();
 
+    // Set by SessionTimeoutModal when a session was ended automatically
+    const sessionEnded = location.state?.sessionEnded;
+
+    // Page the user asked for before being sent here - router state from
+    // ProtectedRoute, or ?redirect= from the axios 401 handler
+    const from = location.state?.from;
+    const requestedPath = from
+        ? `${from.pathname}${from.search || ''}${from.hash || ''}`
+        : new URLSearchParams(location.search).get('redirect');
+
+    // Tick the rate-limit countdown and re-enable the form when it runs out
+    useEffect(() => {
+        if (!retryAt) return;
+
+        const timer = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            if (current >= retryAt) {
+                setRetryAt(null);
+            }
+        }, 1000);
+        return () => clearInterval(timer);
+    }, [retryAt]);
+
+    const retrySecondsLeft = retryAt ? Math.max(0, Math.ceil((retryAt - now) / 1000)) : 0;
+
     // Form validation
     const validate = () => {
         const newErrors = {};
@@ -30,10 +86,49 @@ const Login = () => {
         return newErrors;
     };
 
+    // Save the session and leave the login page
+    const completeLogin = (data) => {
+        const { access_token, refresh_token, role, facility_id, two_factor_enabled } = data;
+
+        // Save auth data using AuthContext
+        login(access_token, { email, facility_id, two_factor_enabled: !!two_factor_enabled }, role, refresh_token);
+
+        // Return to the requested page if this role may open it,
+        // otherwise go to the role's home page
+        navigate(getSafeRedirect(requestedPath, role) || getRoleHome(role), { replace: true });
+    };
+
+    // Send a successful login response to the step it asks for next
+    const handleAuthResponse = (data) => {
+        // Password accepted, but it must be replaced before going any further
+        if (data.password_change_required) {
+            setChallenge(null);
+            setPasswordChange({ changeToken: data.change_token });
+            return;
+        }
+
+        // Password accepted, but the account needs a second factor
+        if (data.two_factor_required) {
+            setPasswordChange(null);
+            setChallenge({ challengeToken: data.challenge_token });
+            return;
+        }
+
+        completeLogin(data);
+    };
+
+    // Back to the sign-in form from one of the follow-up steps
+    const restartLogin = () => {
+        setChallenge(null);
+        setPasswordChange(null);
+        setPassword('');
+    };
+
     // Handle form submission
     const handleSubmit = async (e) => {
         e.preventDefault();
         setErrors({});
+        setAccountStatus(null);
 
         // Validate form
         const validationErrors = validate();
@@ -46,50 +141,48 @@ const Login = () => {
 
         try {
             // Call login API
-            const response = await api.post('/auth/login', {
-                email,
-                password,
-            });
-
-            const { access_token, role, facility_id } = response.data;
-
-            // Save auth data using AuthContext
-            login(access_token, { email, facility_id }, role);
-
-            // Redirect based on role
-            switch (role.toUpperCase()) {
-                case 'ADMIN':
-                    navigate('/admin/facilities');
-                    break;
-                case 'REPORTER':
-                    navigate('/report');
-                    break;
-                case 'MONITOR':
-                    navigate('/dashboard');
-                    break;
-                default:
-                    navigate('/');
-            }
+            handleAuthResponse(await authApi.login({ email, password }));
         } catch (error) {
             console.error('Login error:', error);
+            const { message, fieldErrors, status, code } = normalizeError(
+                error,
+                'An unexpected error occurred. Please try again.',
+                { 401: 'Invalid email or password' }
+            );
 
             // Handle API errors
-            if (error.response?.data?.error) {
-                setErrors({ api: error.response.data.error });
-            } else if (error.response?.data?.errors) {
-                setErrors(error.response.data.errors);
-            } else if (error.response?.status === 401) {
-                setErrors({ api: 'Invalid email or password' });
-            } else if (error.message === 'Network Error') {
-                setErrors({ api: 'Cannot connect to server. Please check if the backend is running.' });
+            if (status === 429) {
+                const current = Date.now();
+                setNow(current);
+                setRetryAt(current + getRetryAfterSeconds(error.response) * 1000);
+            } else if (code === 'ACCOUNT_LOCKED') {
+                setAccountStatus({ type: 'locked', lockedUntil: error.response.data.locked_until });
+            } else if (code === 'ACCOUNT_DEACTIVATED') {
+                setAccountStatus({ type: 'deactivated' });
+            } else if (fieldErrors) {
+                setErrors(fieldErrors);
             } else {
-                setErrors({ api: 'An unexpected error occurred. Please try again.' });
+                setErrors({ api: message });
             }
         } finally {
             setLoading(false);
         }
     };
 
+    // Hand over to the identity provider; it returns to /auth/callback
+    const handleSsoLogin = async () => {
+        setErrors({});
+        setSsoLoading(true);
+
+        try {
+            await startSsoLogin(requestedPath);
+        } catch (error) {
+            console.error('SSO login error:', error);
+            setErrors({ api: 'Single sign-on is unavailable right now. Please try again or use your password.' });
+            setSsoLoading(false);
+        }
+    };
+
     return (
         <div className="min-h-screen w-full flex">
             {/* Left side - Branding */}
@@ -171,118 +264,202 @@ const Login = () => {
 
                     {/* Form card */}
                     <div className="bg-white rounded-2xl shadow-xl p-8 sm:p-10">
-                        <div className="text-center mb-8">
-                            <h2 className="text-2xl font-bold text-gray-900">Welcome back</h2>
-                            <p className="mt-2 text-gray-500">Sign in to continue to your dashboard</p>
-                        </div>
+                        {passwordChange ? (
+                            <PasswordChangeRequired
+                                changeToken={passwordChange.changeToken}
+                                onChanged={handleAuthResponse}
+                                onCancel={restartLogin}
+                            />
+                        ) : challenge ? (
+                            <TwoFactorChallenge
+                                challengeToken={challenge.challengeToken}
+                                onVerified={(data) => handleAuthResponse({ ...data, two_factor_enabled: true })}
+                                onCancel={restartLogin}
+                            />
+                        ) : (
+                            <>
+                                <div className="text-center mb-8">
+                                    <h2 className="text-2xl font-bold text-gray-900">Welcome back</h2>
+                                    <p className="mt-2 text-gray-500">Sign in to continue to your dashboard</p>
+                                </div>
 
-                        {/* Error Message */}
-                        {errors.api && (
-                            <div className="mb-6 bg-red-50 border border-red-200 rounded-xl p-4">
-                                <div className="flex items-center gap-3">
-                                    <div className="flex-shrink-0 w-10 h-10 bg-red-100 rounded-full flex items-center justify-center">
-                                        <svg className="h-5 w-5 text-red-500" viewBox="0 0 20 20" fill="currentColor">
-                                            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                                        </svg>
+                                {/* Session ended notice */}
+                                {sessionEnded && !errors.api && (
+                                    <div className="mb-6 bg-amber-50 border border-amber-200 rounded-xl p-4">
+                                        <p className="text-sm text-amber-800 font-medium">
+                                            {sessionEnded === 'idle'
+                                                ? 'You were signed out after a period of inactivity. Please sign in again.'
+                                                : 'Your session has expired. Please sign in again.'}
+                                        </p>
                                     </div>
-                                    <p className="text-sm text-red-700 font-medium">{errors.api}</p>
-                                </div>
-                            </div>
-                        )}
+                                )}
 
-                        {/* Login Form */}
-                        <form className="space-y-6" onSubmit={handleSubmit}>
-                            {/* Email Field */}
-                            <div>
-                                <label htmlFor="email" className="block text-sm font-semibold text-gray-700 mb-2">
-                                    Email address
-                                </label>
-                                <div className="relative">
-                                    <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
-                                        <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M16 12a4 4 0 10-8 0 4 4 0 008 0zm0 0v1.5a2.5 2.5 0 005 0V12a9 9 0 10-9 9m4.5-1.206a8.959 8.959 0 01-4.5 1.207" />
-                                        </svg>
+                                {/* Rate limit countdown */}
+                                {retrySecondsLeft > 0 && (
+                                    <div role="status" className="mb-6 bg-amber-50 border border-amber-200 rounded-xl p-4">
+                                        <p className="text-sm text-amber-800 font-medium">Too many sign-in attempts.</p>
+                                        <p className="mt-1 text-sm text-amber-700">
+                                            You can try again in <span className="font-semibold tabular-nums">{formatCountdown(retrySecondsLeft)}</span>.
+                                        </p>
                                     </div>
-                                    <input
-                                        id="email"
-                                        name="email"
-                                        type="email"
-                                        autoComplete="email"
-                                        value={email}
-                                        onChange={(e) => setEmail(e.target.value)}
-                                        className={`block w-full pl-12 pr-4 py-3.5 border-2 ${errors.email ? 'border-red-300 focus:border-red-500 focus:ring-red-200' : 'border-gray-200 focus:border-indigo-500 focus:ring-indigo-200'} rounded-xl text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-4 transition-all duration-200`}
-                                        placeholder="name@company.com"
-                                    />
-                                </div>
-                                {errors.email && (
-                                    <p className="mt-2 text-sm text-red-600 flex items-center gap-1">
-                                        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                                            <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                                        </svg>
-                                        {errors.email}
-                                    </p>
                                 )}
-                            </div>
 
-                            {/* Password Field */}
-                            <div>
-                                <label htmlFor="password" className="block text-sm font-semibold text-gray-700 mb-2">
-                                    Password
-                                </label>
-                                <div className="relative">
-                                    <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
-                                        <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
-                                        </svg>
+                                {/* Locked or deactivated account */}
+                                {accountStatus && (
+                                    <div className="mb-6 bg-red-50 border border-red-200 rounded-xl p-4">
+                                        {accountStatus.type === 'locked' ? (
+                                            <>
+                                                <p className="text-sm text-red-700 font-medium">Your account is temporarily locked.</p>
+                                                <p className="mt-1 text-sm text-red-600">
+                                                    {accountStatus.lockedUntil
+                                                        ? `It will unlock at ${new Date(accountStatus.lockedUntil).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}.`
+                                                        : 'Please try again later or contact your administrator.'}
+                                                </p>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <p className="text-sm text-red-700 font-medium">This account has been deactivated.</p>
+                                                <p className="mt-1 text-sm text-red-600">Please contact your administrator if you need access again.</p>
+                                            </>
+                                        )}
                                     </div>
-                                    <input
-                                        id="password"
-                                        name="password"
-                                        type="password"
-                                        autoComplete="current-password"
-                                        value={password}
-                                        onChange={(e) => setPassword(e.target.value)}
-                                        className={`block w-full pl-12 pr-4 py-3.5 border-2 ${errors.password ? 'border-red-300 focus:border-red-500 focus:ring-red-200' : 'border-gray-200 focus:border-indigo-500 focus:ring-indigo-200'} rounded-xl text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-4 transition-all duration-200`}
-                                        placeholder="••••••••"
-                                    />
-                                </div>
-                                {errors.password && (
-                                    <p className="mt-2 text-sm text-red-600 flex items-center gap-1">
-                                        <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
-                                            <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
-                                        </svg>
-                                        {errors.password}
-                                    </p>
                                 )}
-                            </div>
 
-                            {/* Submit Button */}
-                            <button
-                                type="submit"
-                                disabled={loading}
-                                className={`w-full flex justify-center items-center py-4 px-6 rounded-xl text-white font-semibold text-base shadow-lg shadow-indigo-500/30 ${loading
-                                    ? 'bg-indigo-400 cursor-not-allowed'
-                                    : 'bg-indigo-600 hover:bg-indigo-700 hover:shadow-xl hover:shadow-indigo-500/40 active:scale-[0.98]'
-                                    } transition-all duration-200`}
-                            >
-                                {loading ? (
-                                    <span className="flex items-center gap-3">
-                                        <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                        </svg>
-                                        Signing in...
-                                    </span>
-                                ) : (
-                                    <span className="flex items-center gap-2">
-                                        Sign in
-                                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3" />
-                                        </svg>
-                                    </span>
+                                {/* Error Message */}
+                                {errors.api && (
+                                    <div className="mb-6 bg-red-50 border border-red-200 rounded-xl p-4">
+                                        <div className="flex items-center gap-3">
+                                            <div className="flex-shrink-0 w-10 h-10 bg-red-100 rounded-full flex items-center justify-center">
+                                                <svg className="h-5 w-5 text-red-500" viewBox="0 0 20 20" fill="currentColor">
+                                                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                                                </svg>
+                                            </div>
+                                            <p className="text-sm text-red-700 font-medium">{errors.api}</p>
+                                        </div>
+                                    </div>
                                 )}
-                            </button>
-                        </form>
+
+                                {/* Login Form */}
+                                <form className="space-y-6" onSubmit={handleSubmit}>
+                                    {/* Email Field */}
+                                    <div>
+                                        <label htmlFor="email" className="block text-sm font-semibold text-gray-700 mb-2">
+                                            Email address
+                                        </label>
+                                        <div className="relative">
+                                            <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                                                <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M16 12a4 4 0 10-8 0 4 4 0 008 0zm0 0v1.5a2.5 2.5 0 005 0V12a9 9 0 10-9 9m4.5-1.206a8.959 8.959 0 01-4.5 1.207" />
+                                                </svg>
+                                            </div>
+                                            <input
+                                                id="email"
+                                                name="email"
+                                                type="email"
+                                                autoComplete="email"
+                                                value={email}
+                                                onChange={(e) => setEmail(e.target.value)}
+                                                className={`block w-full pl-12 pr-4 py-3.5 border-2 ${errors.email ? 'border-red-300 focus:border-red-500 focus:ring-red-200' : 'border-gray-200 focus:border-indigo-500 focus:ring-indigo-200'} rounded-xl text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-4 transition-all duration-200`}
+                                                placeholder="name@company.com"
+                                            />
+                                        </div>
+                                        {errors.email && (
+                                            <p className="mt-2 text-sm text-red-600 flex items-center gap-1">
+                                                <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                                                    <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                                                </svg>
+                                                {errors.email}
+                                            </p>
+                                        )}
+                                    </div>
+
+                                    {/* Password Field */}
+                                    <div>
+                                        <div className="flex items-center justify-between mb-2">
+                                            <label htmlFor="password" className="block text-sm font-semibold text-gray-700">
+                                                Password
+                                            </label>
+                                            <Link to="/forgot-password" className="text-sm font-medium text-indigo-600 hover:text-indigo-500">
+                                                Forgot password?
+                                            </Link>
+                                        </div>
+                                        <div className="relative">
+                                            <div className="absolute inset-y-0 left-0 pl-4 flex items-center pointer-events-none">
+                                                <svg className="h-5 w-5 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                                                </svg>
+                                            </div>
+                                            <input
+                                                id="password"
+                                                name="password"
+                                                type="password"
+                                                autoComplete="current-password"
+                                                value={password}
+                                                onChange={(e) => setPassword(e.target.value)}
+                                                className={`block w-full pl-12 pr-4 py-3.5 border-2 ${errors.password ? 'border-red-300 focus:border-red-500 focus:ring-red-200' : 'border-gray-200 focus:border-indigo-500 focus:ring-indigo-200'} rounded-xl text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-4 transition-all duration-200`}
+                                                placeholder="••••••••"
+                                            />
+                                        </div>
+                                        {errors.password && (
+                                            <p className="mt-2 text-sm text-red-600 flex items-center gap-1">
+                                                <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                                                    <path fillRule="evenodd" d="M18 10a8 8 0 11-16 0 8 8 0 0116 0zm-7 4a1 1 0 11-2 0 1 1 0 012 0zm-1-9a1 1 0 00-1 1v4a1 1 0 102 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
+                                                </svg>
+                                                {errors.password}
+                                            </p>
+                                        )}
+                                    </div>
+
+                                    {/* Submit Button */}
+                                    <button
+                                        type="submit"
+                                        disabled={loading || retrySecondsLeft > 0}
+                                        className={`w-full flex justify-center items-center py-4 px-6 rounded-xl text-white font-semibold text-base shadow-lg shadow-indigo-500/30 ${loading || retrySecondsLeft > 0
+                                            ? 'bg-indigo-400 cursor-not-allowed'
+                                            : 'bg-indigo-600 hover:bg-indigo-700 hover:shadow-xl hover:shadow-indigo-500/40 active:scale-[0.98]'
+                                            } transition-all duration-200`}
+                                    >
+                                        {loading ? (
+                                            <span className="flex items-center gap-3">
+                                                <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                                </svg>
+                                                Signing in...
+                                            </span>
+                                        ) : (
+                                            <span className="flex items-center gap-2">
+                                                Sign in
+                                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M14 5l7 7m0 0l-7 7m7-7H3" />
+                                                </svg>
+                                            </span>
+                                        )}
+                                    </button>
+                                </form>
+
+                                {isSsoEnabled() && (
+                                    <>
+                                        <div className="my-6 flex items-center gap-3 text-sm text-gray-400">
+                                            <div className="flex-1 border-t border-gray-200"></div>
+                                            or
+                                            <div className="flex-1 border-t border-gray-200"></div>
+                                        </div>
+                                        <button
+                                            type="button"
+                                            onClick={handleSsoLogin}
+                                            disabled={ssoLoading || loading}
+                                            className="w-full flex justify-center items-center gap-2 py-4 px-6 rounded-xl border-2 border-gray-200 text-gray-700 font-semibold text-base hover:border-indigo-300 hover:bg-indigo-50 disabled:opacity-60 disabled:cursor-not-allowed transition-all duration-200"
+                                        >
+                                            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                                            </svg>
+                                            {ssoLoading ? 'Redirecting...' : 'Sign in with SSO'}
+                                        </button>
+                                    </>
+                                )}
+                            </>
+                        )}
 
                     </div>
 
@@ -0,0 +1,242 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { authApi, normalizeError } from '../api';
+import useToast from '../notifications/useToast';
+import { validatePassword, PASSWORD_POLICY_HINT } from '../auth/passwordPolicy';
+
+// Backend error codes that mean the link itself can no longer be used, and
+// the state shown for each. Any other code is about the request, e.g. a
+// password the policy rejects, and is shown on the form.
+const TOKEN_ERROR_STATUSES = {
+    TOKEN_INVALID: 'invalid',
+    TOKEN_EXPIRED: 'expired',
+    TOKEN_USED: 'used',
+};
+
+const TOKEN_ERROR_MESSAGES = {
+    expired: {
+        title: 'This reset link has expired',
+        description: 'Reset links are only valid for a short time. Request a new one to continue.',
+    },
+    used: {
+        title: 'This reset link has already been used',
+        description: 'Each link can only be used once. If you did not change your password, request a new link.',
+    },
+    invalid: {
+        title: 'This reset link is not valid',
+        description: 'Check that you copied the whole link from the email, or request a new one.',
+    },
+};
+
+const ResetPassword = () => {
+    const { token } = useParams();
+    const navigate = useNavigate();
+    const toast = useToast();
+
+    // checking | ready | expired | used | invalid | done
+    const [status, setStatus] = useState('checking');
+    const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+    const [formErrors, setFormErrors] = useState({});
+    const [submitting, setSubmitting] = useState(false);
+
+    // Check the token up front so an expired or used link fails before typing
+    useEffect(() => {
+        const checkToken = async () => {
+            try {
+                await authApi.checkResetToken(token);
+                setStatus('ready');
+            } catch (err) {
+                const { status: httpStatus, code, retryable } = normalizeError(err);
+                // A rejection of the link, even without a known code; a server
+                // or network failure says nothing about it
+                const tokenStatus = TOKEN_ERROR_STATUSES[code] ?? (httpStatus >= 400 && httpStatus < 500 && !retryable ? 'invalid' : null);
+                if (tokenStatus) {
+                    setStatus(tokenStatus);
+                } else {
+                    // Let the user try anyway - the submit will report the real state
+                    console.error('Error checking reset token:', err);
+                    setStatus('ready');
+                }
+            }
+        };
+
+        checkToken();
+    }, [token]);
+
+    const validateForm = () => {
+        const errors = {};
+
+        const passwordError = validatePassword(formData.password);
+        if (passwordError) {
+            errors.password = passwordError;
+        }
+
+        if (!formData.confirmPassword) {
+            errors.confirmPassword = 'Please confirm your new password';
+        } else if (formData.confirmPassword !== formData.password) {
+            errors.confirmPassword = 'Passwords do not match';
+        }
+
+        return errors;
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => ({ ...prev, [name]: value }));
+        if (formErrors[name]) {
+            setFormErrors(prev => ({ ...prev, [name]: null }));
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setFormErrors({});
+
+        const errors = validateForm();
+        if (Object.keys(errors).length > 0) {
+            setFormErrors(errors);
+            return;
+        }
+
+        setSubmitting(true);
+
+        try {
+            await authApi.resetPassword(token, formData.password);
+            setStatus('done');
+        } catch (err) {
+            console.error('Reset password error:', err);
+            const { message, fieldErrors, code } = normalizeError(err, 'Failed to reset password. Please try again.');
+            if (TOKEN_ERROR_STATUSES[code]) {
+                setStatus(TOKEN_ERROR_STATUSES[code]);
+            } else if (fieldErrors) {
+                setFormErrors(fieldErrors);
+            } else {
+                toast.error(message);
+            }
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    const renderContent = () => {
+        if (status === 'checking') {
+            return (
+                <div className="text-center py-8">
+                    <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
+                    <p className="mt-4 text-gray-600">Checking your reset link...</p>
+                </div>
+            );
+        }
+
+        if (status === 'done') {
+            return (
+                <div className="text-center">
+                    <div className="bg-green-50 border border-green-200 rounded-xl p-4">
+                        <p className="text-sm text-green-800 font-medium">Your password has been reset.</p>
+                    </div>
+                    <button
+                        type="button"
+                        onClick={() => navigate('/login', { replace: true })}
+                        className="mt-6 w-full py-4 px-6 rounded-xl text-white font-semibold bg-indigo-600 hover:bg-indigo-700 shadow-lg shadow-indigo-500/30 transition-all duration-200"
+                    >
+                        Sign in with your new password
+                    </button>
+                </div>
+            );
+        }
+
+        if (TOKEN_ERROR_MESSAGES[status]) {
+            const { title, description } = TOKEN_ERROR_MESSAGES[status];
+            return (
+                <div className="text-center">
+                    <div className="bg-red-50 border border-red-200 rounded-xl p-4 text-left">
+                        <p className="text-sm text-red-800 font-semibold">{title}</p>
+                        <p className="mt-1 text-sm text-red-700">{description}</p>
+                    </div>
+                    <Link
+                        to="/forgot-password"
+                        className="mt-6 inline-flex w-full justify-center py-4 px-6 rounded-xl text-white font-semibold bg-indigo-600 hover:bg-indigo-700 shadow-lg shadow-indigo-500/30 transition-all duration-200"
+                    >
+                        Request a new link
+                    </Link>
+                </div>
+            );
+        }
+
+        return (
+            <form className="space-y-6" onSubmit={handleSubmit}>
+                <div>
+                    <label htmlFor="password" className="block text-sm font-semibold text-gray-700 mb-2">
+                        New password
+                    </label>
+                    <input
+                        id="password"
+                        name="password"
+                        type="password"
+                        autoComplete="new-password"
+                        value={formData.password}
+                        onChange={handleInputChange}
+                        className={`block w-full px-4 py-3.5 border-2 ${formErrors.password ? 'border-red-300 focus:border-red-500 focus:ring-red-200' : 'border-gray-200 focus:border-indigo-500 focus:ring-indigo-200'} rounded-xl text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-4 transition-all duration-200`}
+                        placeholder="••••••••"
+                    />
+                    {formErrors.password && (
+                        <p className="mt-2 text-sm text-red-600">{formErrors.password}</p>
+                    )}
+                    <p className="mt-2 text-xs text-gray-500">{PASSWORD_POLICY_HINT}</p>
+                </div>
+
+                <div>
+                    <label htmlFor="confirmPassword" className="block text-sm font-semibold text-gray-700 mb-2">
+                        Confirm new password
+                    </label>
+                    <input
+                        id="confirmPassword"
+                        name="confirmPassword"
+                        type="password"
+                        autoComplete="new-password"
+                        value={formData.confirmPassword}
+                        onChange={handleInputChange}
+                        className={`block w-full px-4 py-3.5 border-2 ${formErrors.confirmPassword ? 'border-red-300 focus:border-red-500 focus:ring-red-200' : 'border-gray-200 focus:border-indigo-500 focus:ring-indigo-200'} rounded-xl text-gray-900 placeholder-gray-400 focus:outline-none focus:ring-4 transition-all duration-200`}
+                        placeholder="••••••••"
+                    />
+                    {formErrors.confirmPassword && (
+                        <p className="mt-2 text-sm text-red-600">{formErrors.confirmPassword}</p>
+                    )}
+                </div>
+
+                <button
+                    type="submit"
+                    disabled={submitting}
+                    className={`w-full flex justify-center items-center py-4 px-6 rounded-xl text-white font-semibold text-base shadow-lg shadow-indigo-500/30 ${submitting
+                        ? 'bg-indigo-400 cursor-not-allowed'
+                        : 'bg-indigo-600 hover:bg-indigo-700 hover:shadow-xl hover:shadow-indigo-500/40 active:scale-[0.98]'
+                        } transition-all duration-200`}
+                >
+                    {submitting ? 'Resetting...' : 'Reset password'}
+                </button>
+            </form>
+        );
+    };
+
+    return (
+        <div className="min-h-screen w-full flex items-center justify-center bg-gray-50 px-6 py-12">
+            <div className="w-full max-w-md">
+                <div className="bg-white rounded-2xl shadow-xl p-8 sm:p-10">
+                    <div className="text-center mb-8">
+                        <h2 className="text-2xl font-bold text-gray-900">Choose a new password</h2>
+                    </div>
+
+                    {renderContent()}
+
+                    <p className="mt-8 text-center text-sm">
+                        <Link to="/login" className="font-medium text-indigo-600 hover:text-indigo-500">
+                            Back to sign in
+                        </Link>
+                    </p>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ResetPassword;
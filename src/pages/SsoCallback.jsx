@@ -0,0 +1,73 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../auth/AuthContext';
+import { completeSsoLogin } from '../auth/oidc';
+import { getSafeRedirect } from '../auth/redirects';
+import { getRoleHome } from '../routes';
+import { normalizeError } from '../api';
+
+// Landing page for the identity provider's redirect after SSO sign-in
+const SsoCallback = () => {
+    const [searchParams] = useSearchParams();
+    const navigate = useNavigate();
+    const { login } = useAuth();
+    const [error, setError] = useState(null);
+    // The authorization code is single-use, so exchange it only once
+    const startedRef = useRef(false);
+
+    useEffect(() => {
+        if (startedRef.current) return;
+        startedRef.current = true;
+
+        const finishLogin = async () => {
+            try {
+                const { accessToken, refreshToken, user, role, returnTo } = await completeSsoLogin(searchParams);
+                login(accessToken, user, role, refreshToken);
+                navigate(getSafeRedirect(returnTo, role) || getRoleHome(role), { replace: true });
+            } catch (err) {
+                console.error('SSO callback error:', err);
+                // Problems found in the callback itself come as plain errors
+                // whose message is meant for the user
+                const { message, status, retryable } = normalizeError(err, err.message || 'Single sign-on failed. Please try again.');
+                if (status >= 400 && status < 500) {
+                    setError('The identity provider rejected the sign-in. Please try again.');
+                } else if (status === 0 && retryable) {
+                    setError('Cannot connect to the identity provider. Please try again later.');
+                } else {
+                    setError(message);
+                }
+            }
+        };
+
+        finishLogin();
+    }, [searchParams, login, navigate]);
+
+    return (
+        <div className="min-h-screen w-full flex items-center justify-center bg-gray-50 px-6 py-12">
+            <div className="w-full max-w-md">
+                <div className="bg-white rounded-2xl shadow-xl p-8 sm:p-10 text-center">
+                    {error ? (
+                        <>
+                            <h2 className="text-2xl font-bold text-gray-900">Single sign-on failed</h2>
+                            <div className="mt-6 bg-red-50 border border-red-200 rounded-xl p-4">
+                                <p className="text-sm text-red-700 font-medium">{error}</p>
+                            </div>
+                            <p className="mt-8 text-sm">
+                                <Link to="/login" replace className="font-medium text-indigo-600 hover:text-indigo-500">
+                                    Back to sign in
+                                </Link>
+                            </p>
+                        </>
+                    ) : (
+                        <div className="py-8">
+                            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
+                            <p className="mt-4 text-gray-600">Completing sign-in...</p>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SsoCallback;
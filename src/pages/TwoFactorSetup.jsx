@@ -0,0 +1,232 @@
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import QRCode from 'qrcode';
+import { useAuth } from '../auth/AuthContext';
+import { getSafeRedirect } from '../auth/redirects';
+import { getRoleHome } from '../routes';
+import { isTwoFactorRequired } from '../auth/twoFactor';
+import { authApi, normalizeError, invalidateQueries, QUERY_KEYS } from '../api';
+
+const TwoFactorSetup = () => {
+    const { user, role, updateUser } = useAuth();
+    const navigate = useNavigate();
+    const location = useLocation();
+
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [secret, setSecret] = useState('');
+    const [qrCode, setQrCode] = useState('');
+    const [code, setCode] = useState('');
+    const [codeError, setCodeError] = useState(null);
+    const [submitting, setSubmitting] = useState(false);
+    const [backupCodes, setBackupCodes] = useState(null);
+    // Every setup call issues a new secret and voids the one before it, so
+    // only the latest call's answer may reach the QR code
+    const setupRequest = useRef(0);
+    const setupStarted = useRef(false);
+
+    const alreadyEnabled = user?.two_factor_enabled && !backupCodes;
+    const required = isTwoFactorRequired(role);
+
+    // Start enrolment on mount unless 2FA is already active - once, even when
+    // StrictMode runs the effect twice
+    useEffect(() => {
+        if (!alreadyEnabled && !setupStarted.current) {
+            setupStarted.current = true;
+            startSetup();
+        }
+    }, [alreadyEnabled]);
+
+    const startSetup = async () => {
+        const request = ++setupRequest.current;
+        const isLatest = () => request === setupRequest.current;
+        try {
+            setLoading(true);
+            const { secret: newSecret, otpauth_url } = await authApi.setupTwoFactor();
+            const qrCodeUrl = await QRCode.toDataURL(otpauth_url, { width: 220, margin: 1 });
+            if (!isLatest()) return;
+
+            setSecret(newSecret);
+            setQrCode(qrCodeUrl);
+            setError(null);
+        } catch (err) {
+            if (!isLatest()) return;
+            console.error('Error starting 2FA setup:', err);
+            setError(normalizeError(err, 'Failed to start two-factor setup. Please try again.').message);
+        } finally {
+            if (isLatest()) setLoading(false);
+        }
+    };
+
+    const handleCodeChange = (e) => {
+        const { value } = e.target;
+        if (value !== '' && !/^\d{0,6}$/.test(value)) {
+            return;
+        }
+        setCode(value);
+        setCodeError(null);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!/^\d{6}$/.test(code)) {
+            setCodeError('Enter the 6-digit code from your authenticator app');
+            return;
+        }
+
+        setSubmitting(true);
+
+        try {
+            setBackupCodes(await authApi.enableTwoFactor(code));
+            updateUser({ two_factor_enabled: true });
+            invalidateQueries(QUERY_KEYS.ACCOUNT);
+        } catch (err) {
+            console.error('Error enabling 2FA:', err);
+            setCodeError(normalizeError(err, 'Failed to verify code. Please try again.').message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    // Continue to the page that sent the user here, or to their home page
+    const handleContinue = () => {
+        const from = location.state?.from;
+        const requestedPath = from ? `${from.pathname}${from.search || ''}${from.hash || ''}` : null;
+        navigate(getSafeRedirect(requestedPath, role) || getRoleHome(role), { replace: true });
+    };
+
+    return (
+        <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 py-8">
+            <div className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8">
+                {/* Header */}
+                <div className="mb-8">
+                    <h1 className="text-4xl font-bold text-gray-900 flex items-center space-x-3">
+                        <svg className="w-10 h-10 text-indigo-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.040A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+                        </svg>
+                        <span>Two-Factor Authentication</span>
+                    </h1>
+                    <p className="mt-3 text-lg text-gray-600">
+                        {required
+                            ? 'Your role requires an authenticator app. Set it up to continue.'
+                            : 'Protect your account with a code from an authenticator app.'}
+                    </p>
+                </div>
+
+                <div className="bg-white rounded-2xl shadow-xl overflow-hidden">
+                    {alreadyEnabled ? (
+                        <div className="p-8 text-center">
+                            <p className="text-lg font-medium text-gray-900">Two-factor authentication is already enabled.</p>
+                            <button
+                                type="button"
+                                onClick={handleContinue}
+                                className="mt-6 px-8 py-3 rounded-xl text-white font-bold bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 shadow-lg transition-all"
+                            >
+                                Continue
+                            </button>
+                        </div>
+                    ) : backupCodes ? (
+                        <div className="p-8">
+                            <div className="mb-6 bg-green-50 border-l-4 border-green-500 p-4 rounded-lg">
+                                <p className="text-sm font-medium text-green-800">Two-factor authentication is now enabled.</p>
+                            </div>
+                            <h2 className="text-lg font-semibold text-gray-900">Save your backup codes</h2>
+                            <p className="mt-1 text-sm text-gray-500">
+                                Each code can be used once to sign in if you lose access to your authenticator app.
+                                They will not be shown again.
+                            </p>
+                            <ul className="mt-4 grid grid-cols-2 gap-2 bg-gray-50 rounded-xl p-4 font-mono text-sm text-gray-900">
+                                {backupCodes.map(backupCode => (
+                                    <li key={backupCode}>{backupCode}</li>
+                                ))}
+                            </ul>
+                            <div className="flex justify-end mt-8 pt-6 border-t border-gray-200">
+                                <button
+                                    type="button"
+                                    onClick={handleContinue}
+                                    className="px-8 py-3 rounded-xl text-white font-bold bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700 shadow-lg transition-all"
+                                >
+                                    I have saved my codes
+                                </button>
+                            </div>
+                        </div>
+                    ) : loading ? (
+                        <div className="p-12 text-center">
+                            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-indigo-600 mx-auto"></div>
+                            <p className="mt-4 text-gray-600">Preparing two-factor setup...</p>
+                        </div>
+                    ) : error ? (
+                        <div className="p-8">
+                            <div className="bg-red-50 border-l-4 border-red-500 p-4 rounded-lg">
+                                <p className="text-sm font-medium text-red-800">{error}</p>
+                            </div>
+                            <button
+                                type="button"
+                                onClick={startSetup}
+                                className="mt-6 px-6 py-3 border-2 border-gray-300 text-gray-700 font-semibold rounded-xl hover:bg-gray-50 transition-all"
+                            >
+                                Try again
+                            </button>
+                        </div>
+                    ) : (
+                        <form onSubmit={handleSubmit} className="p-8">
+                            <ol className="space-y-6">
+                                <li>
+                                    <h2 className="text-lg font-semibold text-gray-900">1. Scan the QR code</h2>
+                                    <p className="mt-1 text-sm text-gray-500">
+                                        Use Google Authenticator, Microsoft Authenticator or any TOTP app.
+                                    </p>
+                                    <div className="mt-4 flex flex-col sm:flex-row items-center gap-6">
+                                        <img src={qrCode} alt="Two-factor authentication QR code" className="w-44 h-44 rounded-lg border border-gray-200" />
+                                        <div className="text-sm text-gray-600">
+                                            <p>Can't scan it? Enter this key manually:</p>
+                                            <p className="mt-2 font-mono text-gray-900 break-all bg-gray-50 rounded-lg px-3 py-2">{secret}</p>
+                                        </div>
+                                    </div>
+                                </li>
+                                <li>
+                                    <label htmlFor="code" className="text-lg font-semibold text-gray-900">
+                                        2. Enter the 6-digit code
+                                    </label>
+                                    <input
+                                        id="code"
+                                        name="code"
+                                        type="text"
+                                        inputMode="numeric"
+                                        autoComplete="one-time-code"
+                                        value={code}
+                                        onChange={handleCodeChange}
+                                        className={`mt-3 w-full sm:w-60 px-4 py-3 border-2 ${codeError
+                                            ? 'border-red-400 bg-red-50'
+                                            : 'border-gray-200 focus:border-indigo-500'
+                                            } rounded-xl text-center text-lg tracking-widest focus:outline-none focus:ring-4 focus:ring-indigo-200 transition-all`}
+                                        placeholder="123456"
+                                    />
+                                    {codeError && (
+                                        <p className="mt-2 text-sm text-red-600">{codeError}</p>
+                                    )}
+                                </li>
+                            </ol>
+
+                            <div className="flex justify-end mt-8 pt-6 border-t border-gray-200">
+                                <button
+                                    type="submit"
+                                    disabled={submitting}
+                                    className={`px-8 py-3 rounded-xl text-white font-bold shadow-lg transition-all ${submitting
+                                        ? 'bg-gray-400 cursor-not-allowed'
+                                        : 'bg-gradient-to-r from-indigo-600 to-purple-600 hover:from-indigo-700 hover:to-purple-700'
+                                        }`}
+                                >
+                                    {submitting ? 'Verifying...' : 'Verify and enable'}
+                                </button>
+                            </div>
+                        </form>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default TwoFactorSetup;
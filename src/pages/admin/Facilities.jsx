@@ -1,11 +1,13 @@
-import { useState, useEffect } from 'react';
-import api from '../../api/axios';
+import { useState } from 'react';
+import { facilitiesApi, normalizeError, isInvalidRecord, useQuery, QUERY_KEYS, setQueryData, invalidateQueries } from '../../api';
+import usePermission from '../../auth/usePermission';
+import { PERMISSIONS } from '../../auth/permissions';
+import useToast, { useErrorToast } from '../../notifications/useToast';
+import InvalidDataRow from '../../components/InvalidDataRow';
 
 const Facilities = () => {
-    const [facilities, setFacilities] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [success, setSuccess] = useState(null);
+    const { data: facilities = [], error: loadError, isLoading, refetch } = useQuery(QUERY_KEYS.FACILITIES, facilitiesApi.list);
+    const toast = useToast();
     const [showForm, setShowForm] = useState(false);
 
     // Form state
@@ -16,36 +18,9 @@ const Facilities = () => {
     });
     const [formErrors, setFormErrors] = useState({});
     const [submitting, setSubmitting] = useState(false);
+    const canWrite = usePermission(PERMISSIONS.FACILITIES_WRITE);
 
-    // Fetch facilities on component mount
-    useEffect(() => {
-        fetchFacilities();
-    }, []);
-
-    // Auto-dismiss messages after 5 seconds
-    useEffect(() => {
-        if (success || error) {
-            const timer = setTimeout(() => {
-                setSuccess(null);
-                setError(null);
-            }, 5000);
-            return () => clearTimeout(timer);
-        }
-    }, [success, error]);
-
-    const fetchFacilities = async () => {
-        try {
-            setLoading(true);
-            const response = await api.get('/admin/facilities');
-            setFacilities(response.data.facilities || []);
-            setError(null);
-        } catch (err) {
-            console.error('Error fetching facilities:', err);
-            setError('Failed to load facilities. Please try again.');
-        } finally {
-            setLoading(false);
-        }
-    };
+    useErrorToast(loadError, 'Failed to load facilities. Please try again.', refetch);
 
     const validateForm = () => {
         const errors = {};
@@ -75,8 +50,6 @@ const Facilities = () => {
     const handleSubmit = async (e) => {
         e.preventDefault();
         setFormErrors({});
-        setError(null);
-        setSuccess(null);
 
         // Validate form
         const errors = validateForm();
@@ -88,23 +61,23 @@ const Facilities = () => {
         setSubmitting(true);
 
         try {
-            const response = await api.post('/admin/facilities', formData);
+            const facility = await facilitiesApi.create(formData);
 
-            // Add new facility to the list
-            setFacilities(prev => [...prev, response.data.facility]);
+            // Add new facility to the list; the dashboard lists facilities too
+            setQueryData(QUERY_KEYS.FACILITIES, prev => [...(prev || []), facility]);
+            invalidateQueries(QUERY_KEYS.DASHBOARD);
 
             // Reset form
             setFormData({ name: '', country: '', city: '' });
             setShowForm(false);
-            setSuccess(`Facility "${response.data.facility.name}" added successfully!`);
+            toast.success(`Facility "${formData.name}" added successfully!`);
         } catch (err) {
             console.error('Error adding facility:', err);
-            if (err.response?.data?.error) {
-                setError(err.response.data.error);
-            } else if (err.response?.data?.errors) {
-                setFormErrors(err.response.data.errors);
+            const { message, fieldErrors } = normalizeError(err, 'Failed to add facility. Please try again.');
+            if (fieldErrors) {
+                setFormErrors(fieldErrors);
             } else {
-                setError('Failed to add facility. Please try again.');
+                toast.error(message);
             }
         } finally {
             setSubmitting(false);
@@ -117,7 +90,7 @@ const Facilities = () => {
         setFormErrors({});
     };
 
-    if (loading) {
+    if (isLoading) {
         return (
             <div className="flex items-center justify-center min-h-[60vh]">
                 <div className="text-center">
@@ -142,40 +115,8 @@ const Facilities = () => {
                     <p className="mt-3 text-lg text-gray-600">Manage healthcare facilities in the system</p>
                 </div>
 
-                {/* Success Message */}
-                {success && (
-                    <div className="mb-6 bg-green-50 border-l-4 border-green-500 p-4 rounded-lg shadow-md">
-                        <div className="flex">
-                            <div className="flex-shrink-0">
-                                <svg className="h-5 w-5 text-green-400" viewBox="0 0 20 20" fill="currentColor">
-                                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                                </svg>
-                            </div>
-                            <div className="ml-3">
-                                <p className="text-sm text-green-700 font-medium">{success}</p>
-                            </div>
-                        </div>
-                    </div>
-                )}
-
-                {/* Error Message */}
-                {error && (
-                    <div className="mb-6 bg-red-50 border-l-4 border-red-500 p-4 rounded-lg shadow-md">
-                        <div className="flex">
-                            <div className="flex-shrink-0">
-                                <svg className="h-5 w-5 text-red-400" viewBox="0 0 20 20" fill="currentColor">
-                                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                                </svg>
-                            </div>
-                            <div className="ml-3">
-                                <p className="text-sm text-red-700 font-medium">{error}</p>
-                            </div>
-                        </div>
-                    </div>
-                )}
-
                 {/* Add Facility Button */}
-                {!showForm && (
+                {!showForm && canWrite && (
                     <div className="mb-8">
                         <button
                             onClick={() => setShowForm(true)}
@@ -323,7 +264,9 @@ const Facilities = () => {
                                     </tr>
                                 </thead>
                                 <tbody className="bg-white divide-y divide-gray-200">
-                                    {facilities.map((facility) => (
+                                    {facilities.map((facility) => isInvalidRecord(facility) ? (
+                                        <InvalidDataRow key={facility.key} record={facility} colSpan={5} />
+                                    ) : (
                                         <tr key={facility.id} className="hover:bg-indigo-50 transition">
                                             <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                                                 #{facility.id}
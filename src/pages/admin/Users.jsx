@@ -1,12 +1,25 @@
-import { useState, useEffect, useMemo } from 'react';
-import api from '../../api/axios';
+import { useState, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { usersApi, facilitiesApi, normalizeError, isInvalidRecord, useQuery, QUERY_KEYS, setQueryData } from '../../api';
+import { useAuth } from '../../auth/AuthContext';
+import { getRoleHome } from '../../routes';
+import { validatePassword, PASSWORD_POLICY_HINT } from '../../auth/passwordPolicy';
+import usePermission from '../../auth/usePermission';
+import { PERMISSIONS } from '../../auth/permissions';
+import { isCookieMode } from '../../auth/authMode';
+import { getConfig } from '../../config';
+import useToast, { useErrorToast } from '../../notifications/useToast';
+import InvalidDataRow from '../../components/InvalidDataRow';
 
 const Users = () => {
-    const [users, setUsers] = useState([]);
-    const [facilities, setFacilities] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [success, setSuccess] = useState(null);
+    const { data: userRecords = [], error: loadError, isLoading, refetch } = useQuery(QUERY_KEYS.USERS, usersApi.list);
+    // Shared with the Facilities page, so it is usually cached already
+    const { data: facilityRecords = [] } = useQuery(QUERY_KEYS.FACILITIES, facilitiesApi.list);
+    // Records the server sent malformed are listed as "Invalid data" rows but
+    // left out of the counts and the facility pickers
+    const users = useMemo(() => userRecords.filter(u => !isInvalidRecord(u)), [userRecords]);
+    const facilities = useMemo(() => facilityRecords.filter(f => !isInvalidRecord(f)), [facilityRecords]);
+    const toast = useToast();
     const [showForm, setShowForm] = useState(false);
 
     // Form state
@@ -20,6 +33,13 @@ const Users = () => {
     });
     const [formErrors, setFormErrors] = useState({});
     const [submitting, setSubmitting] = useState(false);
+    const canWrite = usePermission(PERMISSIONS.USERS_WRITE);
+    // Impersonation parks the admin's tokens in the browser, which cookie mode never has
+    const canImpersonate = usePermission(PERMISSIONS.USERS_IMPERSONATE) && !isCookieMode()
+        && getConfig().features.impersonation;
+    const [impersonatingId, setImpersonatingId] = useState(null);
+    const { startImpersonation } = useAuth();
+    const navigate = useNavigate();
 
     // Get unique countries from facilities
     const uniqueCountries = useMemo(() => {
@@ -49,45 +69,7 @@ const Users = () => {
         return result;
     }, [facilities, formData.country, formData.city]);
 
-    // Fetch users and facilities on component mount
-    useEffect(() => {
-        fetchUsers();
-        fetchFacilities();
-    }, []);
-
-    // Auto-dismiss messages after 5 seconds
-    useEffect(() => {
-        if (success || error) {
-            const timer = setTimeout(() => {
-                setSuccess(null);
-                setError(null);
-            }, 5000);
-            return () => clearTimeout(timer);
-        }
-    }, [success, error]);
-
-    const fetchUsers = async () => {
-        try {
-            setLoading(true);
-            const response = await api.get('/admin/users');
-            setUsers(response.data.users || []);
-            setError(null);
-        } catch (err) {
-            console.error('Error fetching users:', err);
-            setError('Failed to load users. Please try again.');
-        } finally {
-            setLoading(false);
-        }
-    };
-
-    const fetchFacilities = async () => {
-        try {
-            const response = await api.get('/admin/facilities');
-            setFacilities(response.data.facilities || []);
-        } catch (err) {
-            console.error('Error fetching facilities:', err);
-        }
-    };
+    useErrorToast(loadError, 'Failed to load users. Please try again.', refetch);
 
     const validateForm = () => {
         const errors = {};
@@ -100,18 +82,9 @@ const Users = () => {
         }
 
         // Password validation
-        if (!formData.password) {
-            errors.password = 'Password is required';
-        } else if (formData.password.length < 8) {
-            errors.password = 'Password must be at least 8 characters';
-        } else if (!/[A-Z]/.test(formData.password)) {
-            errors.password = 'Password must contain at least one uppercase letter';
-        } else if (!/[a-z]/.test(formData.password)) {
-            errors.password = 'Password must contain at least one lowercase letter';
-        } else if (!/[0-9]/.test(formData.password)) {
-            errors.password = 'Password must contain at least one number';
-        } else if (!/[!@#$%^&*]/.test(formData.password)) {
-            errors.password = 'Password must contain at least one special character (!@#$%^&*)';
+        const passwordError = validatePassword(formData.password);
+        if (passwordError) {
+            errors.password = passwordError;
         }
 
         // Role validation
@@ -162,8 +135,6 @@ const Users = () => {
     const handleSubmit = async (e) => {
         e.preventDefault();
         setFormErrors({});
-        setError(null);
-        setSuccess(null);
 
         // Validate form
         const errors = validateForm();
@@ -187,29 +158,44 @@ const Users = () => {
                 payload.facility_id = parseInt(formData.facility_id);
             }
 
-            const response = await api.post('/admin/users', payload);
+            const user = await usersApi.create(payload);
 
             // Add new user to the list
-            setUsers(prev => [...prev, response.data.user]);
+            setQueryData(QUERY_KEYS.USERS, prev => [...(prev || []), user]);
 
             // Reset form
             setFormData({ email: '', password: '', role: 'reporter', country: '', city: '', facility_id: '' });
             setShowForm(false);
-            setSuccess(`User "${response.data.user.email}" created successfully!`);
+            toast.success(`User "${formData.email}" created successfully!`);
         } catch (err) {
             console.error('Error creating user:', err);
-            if (err.response?.data?.error) {
-                setError(err.response.data.error);
-            } else if (err.response?.data?.errors) {
-                setFormErrors(err.response.data.errors);
+            const { message, fieldErrors } = normalizeError(err, 'Failed to create user. Please try again.');
+            if (fieldErrors) {
+                setFormErrors(fieldErrors);
             } else {
-                setError('Failed to create user. Please try again.');
+                toast.error(message);
             }
         } finally {
             setSubmitting(false);
         }
     };
 
+    // Open the app as the selected user; the banner offers the way back
+    const handleImpersonate = async (targetUser) => {
+        setImpersonatingId(targetUser.id);
+
+        try {
+            const { access_token, refresh_token, role, facility_id } = await usersApi.impersonate(targetUser.id);
+
+            startImpersonation(access_token, { email: targetUser.email, facility_id }, role, refresh_token);
+            navigate(getRoleHome(role), { replace: true });
+        } catch (err) {
+            console.error('Error starting impersonation:', err);
+            toast.error(normalizeError(err, `Failed to view as "${targetUser.email}". Please try again.`).message);
+            setImpersonatingId(null);
+        }
+    };
+
     const handleCancel = () => {
         setShowForm(false);
         setFormData({ email: '', password: '', role: 'reporter', country: '', city: '', facility_id: '' });
@@ -234,7 +220,7 @@ const Users = () => {
         return facility ? facility.name : 'N/A';
     };
 
-    if (loading) {
+    if (isLoading) {
         return (
             <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center">
                 <div className="text-center">
@@ -260,7 +246,7 @@ const Users = () => {
                             </h1>
                             <p className="mt-3 text-lg text-gray-600">Manage system users, roles, and facility assignments</p>
                         </div>
-                        {!showForm && (
+                        {!showForm && canWrite && (
                             <button
                                 onClick={() => setShowForm(true)}
                                 className="flex items-center gap-2 px-6 py-3 bg-gradient-to-r from-indigo-600 to-purple-600 text-white font-semibold rounded-lg shadow-lg hover:from-indigo-700 hover:to-purple-700 transition-all transform hover:-translate-y-0.5"
@@ -274,30 +260,6 @@ const Users = () => {
                     </div>
                 </div>
 
-                {/* Success Message */}
-                {success && (
-                    <div className="mb-6 bg-green-50 border-l-4 border-green-500 p-4 rounded-lg shadow-md">
-                        <div className="flex items-center">
-                            <svg className="h-6 w-6 text-green-500" viewBox="0 0 20 20" fill="currentColor">
-                                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                            </svg>
-                            <p className="ml-3 text-sm font-medium text-green-800">{success}</p>
-                        </div>
-                    </div>
-                )}
-
-                {/* Error Message */}
-                {error && (
-                    <div className="mb-6 bg-red-50 border-l-4 border-red-500 p-4 rounded-lg shadow-md">
-                        <div className="flex items-center">
-                            <svg className="h-6 w-6 text-red-500" viewBox="0 0 20 20" fill="currentColor">
-                                <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                            </svg>
-                            <p className="ml-3 text-sm font-medium text-red-800">{error}</p>
-                        </div>
-                    </div>
-                )}
-
                 {/* Add User Form */}
                 {showForm && (
                     <div className="mb-8 bg-white rounded-2xl shadow-xl overflow-hidden">
@@ -382,7 +344,7 @@ const Users = () => {
                                         <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
                                         </svg>
-                                        Must include: 8+ chars, uppercase, lowercase, number, special char (!@#$%^&*)
+                                        {PASSWORD_POLICY_HINT}
                                     </p>
                                 </div>
 
@@ -640,7 +602,7 @@ const Users = () => {
                         </h2>
                     </div>
 
-                    {users.length === 0 ? (
+                    {userRecords.length === 0 ? (
                         <div className="px-8 py-16 text-center">
                             <svg className="mx-auto h-16 w-16 text-gray-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
@@ -665,10 +627,17 @@ const Users = () => {
                                         <th className="px-6 py-4 text-left text-xs font-bold text-gray-600 uppercase tracking-wider">
                                             Created
                                         </th>
+                                        {canImpersonate && (
+                                            <th className="px-6 py-4 text-right text-xs font-bold text-gray-600 uppercase tracking-wider">
+                                                Actions
+                                            </th>
+                                        )}
                                     </tr>
                                 </thead>
                                 <tbody className="bg-white divide-y divide-gray-200">
-                                    {users.map((user) => (
+                                    {userRecords.map((user) => isInvalidRecord(user) ? (
+                                        <InvalidDataRow key={user.key} record={user} colSpan={canImpersonate ? 5 : 4} />
+                                    ) : (
                                         <tr key={user.id} className="hover:bg-gray-50 transition">
                                             <td className="px-6 py-4 whitespace-nowrap">
                                                 <div className="flex items-center">
@@ -714,6 +683,25 @@ const Users = () => {
                                                     day: 'numeric'
                                                 })}
                                             </td>
+                                            {canImpersonate && (
+                                                <td className="px-6 py-4 whitespace-nowrap text-right">
+                                                    {/* Admin accounts, including your own, cannot be impersonated */}
+                                                    {user.role !== 'admin' && (
+                                                        <button
+                                                            type="button"
+                                                            onClick={() => handleImpersonate(user)}
+                                                            disabled={impersonatingId !== null}
+                                                            className="inline-flex items-center gap-1 px-3 py-1.5 text-sm font-medium text-indigo-700 bg-indigo-50 rounded-lg hover:bg-indigo-100 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                                                        >
+                                                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                                                            </svg>
+                                                            {impersonatingId === user.id ? 'Opening...' : 'View as user'}
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            )}
                                         </tr>
                                     ))}
                                 </tbody>
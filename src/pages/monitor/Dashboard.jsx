@@ -1,5 +1,10 @@
-import { useState, useEffect, useMemo } from 'react';
-import api from '../../api/axios';
+import { useState, useMemo } from 'react';
+import { dashboardApi, isInvalidRecord, useQuery, QUERY_KEYS } from '../../api';
+import Can from '../../components/Can';
+import { getConfig } from '../../config';
+import { PERMISSIONS } from '../../auth/permissions';
+import useToast, { useErrorToast } from '../../notifications/useToast';
+import InvalidDataRow from '../../components/InvalidDataRow';
 import {
     BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
     PieChart, Pie, Cell, LineChart, Line, Area, AreaChart, RadarChart, Radar,
@@ -17,10 +22,25 @@ const STATUS_COLORS = {
 };
 
 const Dashboard = () => {
-    const [facilities, setFacilities] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
-    const [lastRefresh, setLastRefresh] = useState(null);
+    const { dashboardRefreshSeconds, thresholds, features } = getConfig();
+    // Auto-refresh on the configured interval; a failure stays up as a toast
+    // until a later refresh succeeds
+    const {
+        data: records = [],
+        error: loadError,
+        updatedAt,
+        isLoading,
+        refetch,
+    } = useQuery(QUERY_KEYS.DASHBOARD, dashboardApi.getFacilities, {
+        refetchInterval: dashboardRefreshSeconds * 1000,
+    });
+    useErrorToast(loadError, 'Failed to load dashboard. Please try again.', refetch);
+    const toast = useToast();
+    // Facilities the server sent malformed are only listed as "Invalid data"
+    // rows; filters, totals, charts and the export use the rest
+    const facilities = useMemo(() => records.filter(f => !isInvalidRecord(f)), [records]);
+    const invalidRecords = useMemo(() => records.filter(isInvalidRecord), [records]);
+    const lastRefresh = updatedAt ? new Date(updatedAt) : null;
     const [activeChart, setActiveChart] = useState('resources');
     const [exporting, setExporting] = useState(false);
 
@@ -143,27 +163,12 @@ const Dashboard = () => {
             saveAs(data, `HFRAT_Dashboard_Report_${dateStr}_${timeStr}.xlsx`);
         } catch (err) {
             console.error('Error exporting to Excel:', err);
-            alert('Failed to export. Please try again.');
+            toast.error('Failed to export. Please try again.');
         } finally {
             setExporting(false);
         }
     };
 
-    // Fetch dashboard data
-    const fetchDashboard = async () => {
-        try {
-            const response = await api.get('/monitor/dashboard');
-            setFacilities(response.data.facilities || []);
-            setLastRefresh(new Date());
-            setError(null);
-        } catch (err) {
-            console.error('Error fetching dashboard:', err);
-            setError('Failed to load dashboard. Please try again.');
-        } finally {
-            setLoading(false);
-        }
-    };
-
     // Computed chart data - uses filteredFacilities
     const chartData = useMemo(() => {
         // Resource comparison by facility
@@ -208,20 +213,6 @@ const Dashboard = () => {
         return { resourceData, statusData, totalResourceData, radarData };
     }, [filteredFacilities]);
 
-    // Fetch on component mount
-    useEffect(() => {
-        fetchDashboard();
-    }, []);
-
-    // Auto-refresh every 30 seconds
-    useEffect(() => {
-        const interval = setInterval(() => {
-            fetchDashboard();
-        }, 30000);
-
-        return () => clearInterval(interval);
-    }, []);
-
     const getStatusColor = (facility) => {
         if (facility.critical) {
             return 'bg-red-50 border-l-4 border-red-500';
@@ -261,7 +252,7 @@ const Dashboard = () => {
         if (value === 0) {
             return 'text-red-600 font-semibold';
         }
-        if (value <= 3) {
+        if (value <= thresholds.lowResource) {
             return 'text-orange-600 font-semibold';
         }
         return 'text-gray-900';
@@ -292,7 +283,7 @@ const Dashboard = () => {
         return `${days} days ago`;
     };
 
-    if (loading) {
+    if (isLoading) {
         return (
             <div className="flex items-center justify-center min-h-[60vh]">
                 <div className="text-center">
@@ -320,55 +311,43 @@ const Dashboard = () => {
                         </div>
                         <div className="flex items-center gap-4">
                             {/* Export Button */}
-                            <button
-                                onClick={exportToExcel}
-                                disabled={exporting || facilities.length === 0}
-                                className="flex items-center gap-2 px-5 py-3 bg-gradient-to-r from-green-600 to-emerald-600 text-white font-semibold rounded-lg shadow-md hover:from-green-700 hover:to-emerald-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-                            >
-                                {exporting ? (
-                                    <>
-                                        <svg className="animate-spin h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                        </svg>
-                                        <span>Exporting...</span>
-                                    </>
-                                ) : (
-                                    <>
-                                        <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                                        </svg>
-                                        <span>Export to Excel</span>
-                                    </>
-                                )}
-                            </button>
+                            {features.dashboardExport && (
+                                <Can permission={PERMISSIONS.DASHBOARD_EXPORT}>
+                                    <button
+                                        onClick={exportToExcel}
+                                        disabled={exporting || facilities.length === 0}
+                                        className="flex items-center gap-2 px-5 py-3 bg-gradient-to-r from-green-600 to-emerald-600 text-white font-semibold rounded-lg shadow-md hover:from-green-700 hover:to-emerald-700 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+                                    >
+                                        {exporting ? (
+                                            <>
+                                                <svg className="animate-spin h-5 w-5" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                                </svg>
+                                                <span>Exporting...</span>
+                                            </>
+                                        ) : (
+                                            <>
+                                                <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 10v6m0 0l-3-3m3 3l3-3m2 8H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                                                </svg>
+                                                <span>Export to Excel</span>
+                                            </>
+                                        )}
+                                    </button>
+                                </Can>
+                            )}
                             {/* Last Refresh Info */}
                             <div className="bg-white rounded-lg shadow-md p-4 text-right">
                                 <p className="text-sm font-semibold text-gray-900">
                                     {lastRefresh ? lastRefresh.toLocaleTimeString() : 'N/A'}
                                 </p>
-                                <p className="text-xs text-indigo-600 mt-1 font-medium">Auto-refreshes every 30s</p>
+                                <p className="text-xs text-indigo-600 mt-1 font-medium">Auto-refreshes every {dashboardRefreshSeconds}s</p>
                             </div>
                         </div>
                     </div>
                 </div>
 
-                {/* Error Message */}
-                {error && (
-                    <div className="mb-6 bg-red-50 border-l-4 border-red-500 p-4 rounded-lg shadow-md">
-                        <div className="flex">
-                            <div className="flex-shrink-0">
-                                <svg className="h-5 w-5 text-red-400" viewBox="0 0 20 20" fill="currentColor">
-                                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                                </svg>
-                            </div>
-                            <div className="ml-3">
-                                <p className="text-sm text-red-700 font-medium">{error}</p>
-                            </div>
-                        </div>
-                    </div>
-                )}
-
                 {/* Geographical Filters */}
                 <div className="mb-6 bg-white rounded-xl shadow-lg p-6 border border-gray-200">
                     <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
@@ -828,7 +807,7 @@ const Dashboard = () => {
                         </h2>
                     </div>
 
-                    {facilities.length === 0 ? (
+                    {records.length === 0 ? (
                         <div className="px-6 py-12 text-center">
                             <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4" />
@@ -896,6 +875,9 @@ const Dashboard = () => {
                                             </td>
                                         </tr>
                                     ))}
+                                    {invalidRecords.map((record) => (
+                                        <InvalidDataRow key={record.key} record={record} colSpan={6} />
+                                    ))}
                                 </tbody>
                             </table>
                         </div>
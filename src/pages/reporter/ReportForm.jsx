@@ -1,14 +1,30 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useAuth } from '../../auth/AuthContext';
-import api from '../../api/axios';
+import {
+    reportsApi,
+    normalizeError,
+    isCancelled,
+    isInvalidRecord,
+    submitReport,
+    createSubmissionId,
+    queueReport,
+    isQueueableFailure,
+    syncPendingReports,
+    discardQueuedReport,
+    usePendingReports,
+} from '../../api';
+import { onReconnect } from '../../api/connectivity';
+import useToast from '../../notifications/useToast';
 
 const ReportForm = () => {
     const { user } = useAuth();
+    const toast = useToast();
+    // Loading the last report; the form is usable meanwhile, and offline
     const [loading, setLoading] = useState(true);
     const [submitting, setSubmitting] = useState(false);
-    const [error, setError] = useState(null);
-    const [success, setSuccess] = useState(null);
     const [lastUpdated, setLastUpdated] = useState(null);
+    // The last report came back malformed and was not loaded into the form
+    const [reportUnreadable, setReportUnreadable] = useState(false);
     const [facilityName, setFacilityName] = useState('');
 
     // Form state
@@ -21,45 +37,73 @@ const ReportForm = () => {
 
     const [formErrors, setFormErrors] = useState({});
 
-    // Fetch latest report on component mount
+    // Reports captured while offline, waiting to be sent
+    const { entries: pendingReports, syncing, lastSyncedAt } = usePendingReports();
+    const handledSyncAt = useRef(lastSyncedAt);
+
+    // The latest-report request in flight, and the reload queued after a submit
+    const reportRequest = useRef(null);
+    const reloadTimer = useRef(null);
+    // The last load failed, e.g. the page was opened offline
+    const reportLoadFailed = useRef(false);
+
+    // Fetch latest report on component mount, and again once the connection
+    // returns if that failed; drop it if the page is left first
     useEffect(() => {
         fetchLatestReport();
+        const unsubscribe = onReconnect(() => {
+            if (reportLoadFailed.current) fetchLatestReport();
+        });
+        return () => {
+            unsubscribe();
+            clearTimeout(reloadTimer.current);
+            reportRequest.current?.abort();
+        };
     }, []);
 
-    // Auto-dismiss messages after 5 seconds
+    // Queued reports went through in the background; show what the server has now
     useEffect(() => {
-        if (success || error) {
-            const timer = setTimeout(() => {
-                setSuccess(null);
-                setError(null);
-            }, 5000);
-            return () => clearTimeout(timer);
-        }
-    }, [success, error]);
+        if (lastSyncedAt === handledSyncAt.current) return;
+        handledSyncAt.current = lastSyncedAt;
+        toast.success('Reports saved on this device have been sent.');
+        fetchLatestReport();
+    }, [lastSyncedAt, toast]);
 
     const fetchLatestReport = async () => {
+        // A newer load replaces one still in flight
+        reportRequest.current?.abort();
+        const controller = new AbortController();
+        reportRequest.current = controller;
+
         try {
             setLoading(true);
-            const response = await api.get('/reporter/reports/me');
-
-            if (response.data.report) {
-                const report = response.data.report;
+            // No retries: the form is already up, and a failed load is
+            // repeated once the connection is back
+            const { report, facility } = await reportsApi.getMine({ signal: controller.signal, retry: false });
+            reportLoadFailed.current = false;
+
+            // Better an empty form than one filled with unreadable values
+            setReportUnreadable(isInvalidRecord(report));
+            if (report && !isInvalidRecord(report)) {
+                // Only fill what the reporter has not typed in meanwhile
+                const fill = (current, value) => (current === '' ? String(value ?? '') : current);
                 setFormData(prev => ({
                     ...prev,
-                    icu_beds_available: report.icu_beds_available ?? '',
-                    ventilators_available: report.ventilators_available ?? '',
-                    staff_on_duty: report.staff_on_duty ?? '',
+                    icu_beds_available: fill(prev.icu_beds_available, report.icu_beds_available),
+                    ventilators_available: fill(prev.ventilators_available, report.ventilators_available),
+                    staff_on_duty: fill(prev.staff_on_duty, report.staff_on_duty),
                 }));
                 setLastUpdated(new Date(report.updated_at));
             }
-            if (response.data.facility) {
-                setFacilityName(response.data.facility.name || '');
+            if (facility) {
+                setFacilityName(facility.name || '');
             }
-            setError(null);
         } catch (err) {
+            if (isCancelled(err)) return;
+            reportLoadFailed.current = normalizeError(err).retryable;
             console.log('No existing report found');
         } finally {
-            setLoading(false);
+            if (!controller.signal.aborted) setLoading(false);
         }
     };
 
@@ -115,8 +159,6 @@ const ReportForm = () => {
     const handleSubmit = async (e) => {
         e.preventDefault();
         setFormErrors({});
-        setError(null);
-        setSuccess(null);
 
         const errors = validateForm();
         if (Object.keys(errors).length > 0) {
@@ -126,35 +168,63 @@ const ReportForm = () => {
 
         setSubmitting(true);
 
+        const payload = {
+            facility_id: parseInt(formData.facility_id),
+            icu_beds_available: parseInt(formData.icu_beds_available),
+            ventilators_available: parseInt(formData.ventilators_available),
+            staff_on_duty: parseInt(formData.staff_on_duty),
+        };
+        // One id and capture time per submission, whether it is sent now or
+        // later from the offline queue
+        const submission = { id: createSubmissionId(), capturedAt: new Date().toISOString() };
+
         try {
-            const payload = {
-                facility_id: parseInt(formData.facility_id),
-                icu_beds_available: parseInt(formData.icu_beds_available),
-                ventilators_available: parseInt(formData.ventilators_available),
-                staff_on_duty: parseInt(formData.staff_on_duty),
-            };
-
-            const response = await api.post('/reporter/reports', payload);
-            setLastUpdated(new Date(response.data.report.updated_at));
-            setSuccess('Report submitted successfully!');
-
-            setTimeout(() => {
+            const report = await submitReport(payload, submission);
+            if (!isInvalidRecord(report)) {
+                setLastUpdated(new Date(report.updated_at));
+            }
+            toast.success('Report submitted successfully!');
+
+            reloadTimer.current = setTimeout(() => {
                 fetchLatestReport();
             }, 1000);
         } catch (err) {
             console.error('Error submitting report:', err);
-            if (err.response?.data?.error) {
-                setError(err.response.data.error);
-            } else if (err.response?.data?.errors) {
-                setFormErrors(err.response.data.errors);
+            // Offline or the connection dropped: keep it and send it later
+            if (isQueueableFailure(err) && await saveForLater(payload, submission)) {
+                return;
+            }
+            const { message, fieldErrors } = normalizeError(err, 'Failed to submit report. Please try again.');
+            if (fieldErrors) {
+                setFormErrors(fieldErrors);
             } else {
-                setError('Failed to submit report. Please try again.');
+                toast.error(message);
             }
         } finally {
             setSubmitting(false);
         }
     };
 
+    // Resolves to false if the report could not be stored either
+    const saveForLater = async (payload, submission) => {
+        try {
+            await queueReport(payload, submission);
+            toast.info('No connection right now. The report is saved on this device and will be sent automatically.');
+            return true;
+        } catch (err) {
+            console.error('Error saving report for later:', err);
+            return false;
+        }
+    };
+
+    const handleSyncNow = () => {
+        syncPendingReports();
+    };
+
+    const handleDiscard = (id) => {
+        discardQueuedReport(id).catch((err) => console.error('Error discarding queued report:', err));
+    };
+
     const getTimeSinceUpdate = () => {
         if (!lastUpdated) return null;
         const now = new Date();
@@ -173,17 +243,6 @@ const ReportForm = () => {
         return `${days} days ago`;
     };
 
-    if (loading) {
-        return (
-            <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 flex items-center justify-center">
-                <div className="text-center">
-                    <div className="animate-spin rounded-full h-16 w-16 border-4 border-indigo-200 border-t-indigo-600 mx-auto"></div>
-                    <p className="mt-4 text-gray-600 font-medium">Loading report form...</p>
-                </div>
-            </div>
-        );
-    }
-
     return (
         <div className="min-h-screen bg-gradient-to-br from-gray-50 to-gray-100 py-8">
             <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8">
@@ -199,44 +258,77 @@ const ReportForm = () => {
                             </h1>
                             <p className="mt-3 text-lg text-gray-600">Submit current resource availability for your facility</p>
                         </div>
-                        {lastUpdated && (
+                        {lastUpdated && !reportUnreadable && (
                             <div className="bg-white rounded-lg shadow-md p-4 text-right">
                                 <p className="text-sm font-semibold text-gray-900">Last Report</p>
                                 <p className="text-xs text-indigo-600 mt-1 font-medium">{getTimeSinceUpdate()}</p>
                             </div>
                         )}
-                    </div>
-                </div>
-
-                {/* Success Message */}
-                {success && (
-                    <div className="mb-6 bg-green-50 border-l-4 border-green-500 p-4 rounded-lg shadow-md animate-fade-in">
-                        <div className="flex items-center">
-                            <div className="flex-shrink-0">
-                                <svg className="h-6 w-6 text-green-500" viewBox="0 0 20 20" fill="currentColor">
-                                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm3.707-9.293a1 1 0 00-1.414-1.414L9 10.586 7.707 9.293a1 1 0 00-1.414 1.414l2 2a1 1 0 001.414 0l4-4z" clipRule="evenodd" />
-                                </svg>
+                        {loading && !lastUpdated && !reportUnreadable && (
+                            <div className="bg-white rounded-lg shadow-md p-4 text-right">
+                                <p className="text-sm font-semibold text-gray-900">Last Report</p>
+                                <p className="text-xs text-gray-500 mt-1 font-medium">Loading...</p>
                             </div>
-                            <div className="ml-3">
-                                <p className="text-sm font-medium text-green-800">{success}</p>
+                        )}
+                        {reportUnreadable && (
+                            <div className="bg-white rounded-lg shadow-md p-4 text-right">
+                                <p className="text-sm font-semibold text-gray-900">Last Report</p>
+                                <p className="text-xs text-amber-600 mt-1 font-medium">Invalid data - enter current figures</p>
                             </div>
-                        </div>
+                        )}
                     </div>
-                )}
+                </div>
 
-                {/* Error Message */}
-                {error && (
-                    <div className="mb-6 bg-red-50 border-l-4 border-red-500 p-4 rounded-lg shadow-md">
-                        <div className="flex items-center">
-                            <div className="flex-shrink-0">
-                                <svg className="h-6 w-6 text-red-500" viewBox="0 0 20 20" fill="currentColor">
-                                    <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                                </svg>
-                            </div>
-                            <div className="ml-3">
-                                <p className="text-sm font-medium text-red-800">{error}</p>
+                {/* Pending Sync - reports captured offline, oldest first */}
+                {pendingReports.length > 0 && (
+                    <div className="mb-6 bg-amber-50 border-l-4 border-amber-500 p-4 rounded-lg shadow-md">
+                        <div className="flex items-center justify-between gap-4">
+                            <div>
+                                <p className="text-sm font-bold text-amber-900">
+                                    Pending sync ({pendingReports.length})
+                                </p>
+                                <p className="text-xs text-amber-800 mt-0.5">
+                                    Saved on this device and sent automatically when the connection returns.
+                                </p>
                             </div>
+                            <button
+                                type="button"
+                                onClick={handleSyncNow}
+                                disabled={syncing}
+                                className="px-4 py-2 text-sm font-semibold rounded-lg text-amber-900 bg-amber-100 hover:bg-amber-200 disabled:opacity-50 disabled:cursor-not-allowed transition"
+                            >
+                                {syncing ? 'Sending...' : 'Sync now'}
+                            </button>
                         </div>
+                        <ul className="mt-3 divide-y divide-amber-200">
+                            {pendingReports.map((entry) => (
+                                <li key={entry.id} className="py-2 flex items-center justify-between gap-4 text-sm">
+                                    <div>
+                                        <p className="font-medium text-gray-900">
+                                            Captured {new Date(entry.capturedAt).toLocaleString()}
+                                        </p>
+                                        <p className="text-xs text-gray-600">
+                                            ICU beds {entry.report.icu_beds_available} · Ventilators {entry.report.ventilators_available} · Staff {entry.report.staff_on_duty}
+                                        </p>
+                                        {entry.error && (
+                                            <p className={`text-xs mt-0.5 ${entry.failed ? 'text-red-700' : 'text-amber-800'}`}>
+                                                {entry.failed ? `Not accepted: ${entry.error}` : `Last attempt failed: ${entry.error}`}
+                                            </p>
+                                        )}
+                                    </div>
+                                    {/* Only a report the server rejected can be thrown away; the rest are still on their way */}
+                                    {entry.failed && (
+                                        <button
+                                            type="button"
+                                            onClick={() => handleDiscard(entry.id)}
+                                            className="flex-shrink-0 text-xs font-semibold text-red-700 hover:text-red-900 underline"
+                                        >
+                                            Discard
+                                        </button>
+                                    )}
+                                </li>
+                            ))}
+                        </ul>
                     </div>
                 )}
 
@@ -0,0 +1,97 @@
+/**
+ * Service worker registration and updates
+ *
+ * Registers the worker built from src/sw.js, which lets the installed app
+ * open offline. When a new build is deployed its worker installs in the
+ * background and waits; `updateAvailable` is set so the page can offer a
+ * reload, and applyAppUpdate hands over to it and reloads.
+ *
+ * Phones tend to keep the app open for days, so besides the check the
+ * browser makes on each navigation, one is made every hour and whenever the
+ * app comes back to the foreground.
+ */
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+let registration = null;
+let reloadRequested = false;
+let snapshot = { updateAvailable: false };
+const listeners = new Set();
+
+const updateSnapshot = (patch) => {
+    snapshot = { ...snapshot, ...patch };
+    listeners.forEach((listener) => listener());
+};
+
+export const getAppUpdate = () => snapshot;
+
+export const subscribeToAppUpdate = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+// A worker that finished installing while another controls the page is an
+// update; without a controller it is the first install and there is nothing
+// to reload
+const watchInstalling = (worker) => {
+    worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            updateSnapshot({ updateAvailable: true });
+        }
+    });
+};
+
+const checkForUpdate = () => {
+    registration?.update().catch(() => {
+        // Offline or the server is down; try again at the next check
+    });
+};
+
+// Switch to the waiting worker and reload onto the new build
+export const applyAppUpdate = () => {
+    reloadRequested = true;
+    if (registration?.waiting) {
+        registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+    } else {
+        // Another tab already switched over
+        window.location.reload();
+    }
+};
+
+export const registerServiceWorker = async () => {
+    if (!('serviceWorker' in navigator)) return;
+
+    let hadController = !!navigator.serviceWorker.controller;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // The first worker taking over a page it did not load changes nothing
+        const isUpdate = hadController;
+        hadController = true;
+        if (!isUpdate) return;
+
+        if (reloadRequested) {
+            window.location.reload();
+        } else {
+            // Accepted in another tab; this one is still on the old build
+            updateSnapshot({ updateAvailable: true });
+        }
+    });
+
+    try {
+        registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+    } catch (error) {
+        console.error('Error registering service worker:', error);
+        return;
+    }
+
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        updateSnapshot({ updateAvailable: true });
+    }
+    if (registration.installing) {
+        watchInstalling(registration.installing);
+    }
+    registration.addEventListener('updatefound', () => watchInstalling(registration.installing));
+
+    setInterval(checkForUpdate, UPDATE_CHECK_INTERVAL);
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') checkForUpdate();
+    });
+};
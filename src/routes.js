@@ -0,0 +1,105 @@
+import { lazy } from 'react';
+import { matchPath } from 'react-router-dom';
+import { PERMISSIONS } from './auth/permissions';
+import { TWO_FACTOR_SETUP_PATH } from './auth/twoFactor';
+import { SSO_CALLBACK_PATH } from './auth/oidc';
+
+/**
+ * Route manifest
+ *
+ * Every page of the app is declared once here. The router (App.jsx), the
+ * navbar links, the breadcrumbs, the role home redirects and the post-login
+ * redirect check are all generated from this list, so a new page or role only
+ * needs an entry here (and its capabilities in auth/permissions).
+ *
+ * Protected route fields:
+ *   path        - URL path
+ *   component   - lazily loaded page component
+ *   permission  - capability required to open it (omit: any signed-in user)
+ *   title       - page name for breadcrumbs
+ *   section     - optional breadcrumb group
+ *   nav         - { label, icon } to show it in the navbar; icon is SVG path data
+ *   homeFor     - roles that land on this page after login
+ */
+
+// 24x24 outline icon paths used by the navbar
+const ICONS = {
+    facilities: 'M19 21V5a2 2 0 00-2-2H7a2 2 0 00-2 2v16m14 0h2m-2 0h-5m-9 0H3m2 0h5M9 7h1m-1 4h1m4-4h1m-1 4h1m-5 10v-5a1 1 0 011-1h2a1 1 0 011 1v5m-4 0h4',
+    users: 'M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z',
+    report: 'M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2',
+    dashboard: 'M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z',
+};
+
+// Pages open to everyone, rendered without the navbar
+export const PUBLIC_ROUTES = [
+    { path: '/login', component: lazy(() => import('./pages/Login')) },
+    { path: '/forgot-password', component: lazy(() => import('./pages/ForgotPassword')) },
+    { path: '/reset-password/:token', component: lazy(() => import('./pages/ResetPassword')) },
+    { path: SSO_CALLBACK_PATH, component: lazy(() => import('./pages/SsoCallback')) },
+];
+
+// Pages behind login, rendered inside the authenticated layout
+export const PROTECTED_ROUTES = [
+    {
+        path: '/admin/facilities',
+        component: lazy(() => import('./pages/admin/Facilities')),
+        permission: PERMISSIONS.FACILITIES_READ,
+        title: 'Facilities',
+        section: 'Administration',
+        nav: { label: 'Facilities', icon: ICONS.facilities },
+        homeFor: ['ADMIN'],
+    },
+    {
+        path: '/admin/users',
+        component: lazy(() => import('./pages/admin/Users')),
+        permission: PERMISSIONS.USERS_READ,
+        title: 'Users',
+        section: 'Administration',
+        nav: { label: 'Users', icon: ICONS.users },
+    },
+    {
+        path: '/report',
+        component: lazy(() => import('./pages/reporter/ReportForm')),
+        permission: PERMISSIONS.REPORTS_SUBMIT,
+        title: 'Submit Report',
+        section: 'Reporting',
+        nav: { label: 'Submit Report', icon: ICONS.report },
+        homeFor: ['REPORTER'],
+    },
+    {
+        path: '/dashboard',
+        component: lazy(() => import('./pages/monitor/Dashboard')),
+        permission: PERMISSIONS.DASHBOARD_VIEW,
+        title: 'Dashboard',
+        section: 'Monitoring',
+        nav: { label: 'Dashboard', icon: ICONS.dashboard },
+        homeFor: ['MONITOR'],
+    },
+    {
+        path: '/account',
+        component: lazy(() => import('./pages/Account')),
+        title: 'My Account',
+    },
+    {
+        path: TWO_FACTOR_SETUP_PATH,
+        component: lazy(() => import('./pages/TwoFactorSetup')),
+        title: 'Two-Factor Authentication',
+        section: 'My Account',
+        // Must stay reachable while enrolment is still pending
+        skipTwoFactorCheck: true,
+    },
+];
+
+// Routes shown in the navbar, in display order
+export const NAV_ROUTES = PROTECTED_ROUTES.filter((route) => route.nav);
+
+// Protected route matching a pathname, or undefined
+export const findProtectedRoute = (pathname) => {
+    return PROTECTED_ROUTES.find((route) => matchPath({ path: route.path, end: true }, pathname));
+};
+
+// Landing page for a role; unknown roles go back to the login page
+export const getRoleHome = (role) => {
+    const home = PROTECTED_ROUTES.find((route) => route.homeFor?.includes(role?.toUpperCase()));
+    return home ? home.path : '/login';
+};
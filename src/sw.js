@@ -0,0 +1,101 @@
+/**
+ * Service worker
+ *
+ * Keeps a copy of the app shell - index.html, the built scripts and styles,
+ * the manifest and icons - so the app opens without a network, including
+ * pages such as /report and /login that have never been visited. API calls
+ * are left alone; offline reports go through the queue in src/api/reportQueue.
+ *
+ * The build (see vite.config.js) fills in the precache manifest with the
+ * shell files, relative to the app's base URL, and a version that changes
+ * with them. A new build therefore installs as a new worker, which waits
+ * until the page accepts the update (src/pwa.js) before taking over.
+ */
+const { version, files } = self.__PRECACHE_MANIFEST;
+
+const SHELL_CACHE = `hfrat-shell-${version}`;
+const CONFIG_CACHE = 'hfrat-config';
+const CACHE_PREFIX = 'hfrat-shell-';
+
+const scope = new URL(self.registration.scope);
+const toUrl = (path) => new URL(path, scope).href;
+
+// The shell page itself; every page of the app is this file
+const SHELL_URL = toUrl('');
+const CONFIG_URL = toUrl('config.json');
+const PRECACHE_URLS = new Set(files.map(toUrl));
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then((cache) => (
+            // Fresh copies, so a stale HTTP cache cannot mix two builds
+            cache.addAll([...PRECACHE_URLS].map((url) => new Request(url, { cache: 'reload' })))
+        ))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(
+                keys
+                    .filter((key) => key.startsWith(CACHE_PREFIX) && key !== SHELL_CACHE)
+                    .map((key) => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the page when the user accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Latest config.json when the network answers, the last one seen when not,
+// so an offline start still talks to the right API
+const fetchConfig = async (request) => {
+    const cache = await caches.open(CONFIG_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(CONFIG_URL, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(CONFIG_URL);
+        if (cached) return cached;
+        throw error;
+    }
+};
+
+const fromShell = async (url, request) => {
+    const cached = await caches.match(url, { cacheName: SHELL_CACHE });
+    return cached || fetch(request);
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== scope.origin || !url.pathname.startsWith(scope.pathname)) return;
+
+    // Pages are routed in the browser; the cached shell opens instantly even
+    // on a slow connection, and updates arrive through a new worker. An API
+    // proxied on this origin (apiUrl "/...") is never answered with the shell.
+    if (request.mode === 'navigate' && !url.pathname.includes('/api/')) {
+        event.respondWith(fromShell(SHELL_URL, request));
+        return;
+    }
+
+    if (url.href.split(/[?#]/)[0] === CONFIG_URL) {
+        event.respondWith(fetchConfig(request));
+        return;
+    }
+
+    if (PRECACHE_URLS.has(url.href)) {
+        event.respondWith(fromShell(url.href, request));
+    }
+});
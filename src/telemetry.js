@@ -0,0 +1,169 @@
+import { getConfig } from './config';
+
+/**
+ * Telemetry
+ *
+ * Collects what would otherwise only reach the console of whoever hit it:
+ * unhandled errors, pages that crashed, failed API calls and page-load
+ * timings. Events are queued and posted in batches to the collector set by
+ * `telemetry.endpoint` in config.json (VITE_TELEMETRY_ENDPOINT at build time);
+ * with no endpoint nothing is collected.
+ *
+ * Whether a visit reports at all is decided once, at startup, by
+ * `telemetry.sampleRate` (0 to 1), so a sampled visit reports everything.
+ * Every string is scrubbed of email addresses and tokens before it is queued,
+ * and page and API paths have IDs and tokens replaced with placeholders.
+ *
+ * A batch is POSTed as JSON with a text/plain content type, so a collector on
+ * another origin needs no CORS preflight:
+ *
+ *   { "session": "<random id>", "sentAt": "<ISO time>", "events": [
+ *       { "type": "error" | "crash" | "api_error" | "page_load", "at", "page", ... }
+ *   ] }
+ */
+
+// Send once this many events are waiting, or after FLUSH_INTERVAL at the latest
+const BATCH_SIZE = 20;
+const FLUSH_INTERVAL = 10 * 1000;
+// Drop further events rather than grow without bound while the collector is down
+const MAX_QUEUE = 100;
+const MAX_STRING_LENGTH = 2000;
+
+let enabled = false;
+let endpoint = '';
+let queue = [];
+let flushTimer = null;
+const sessionId = typeof crypto !== 'undefined' && crypto.randomUUID ? crypto.randomUUID() : String(Date.now());
+
+// Secrets that can turn up inside error messages, stacks and URLs
+const SCRUB_PATTERNS = [
+    [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]'],
+    [/eyJ[\w-]+\.[\w-]+\.[\w-]*/g, '[token]'],
+    [/Bearer\s+[^\s"']+/gi, 'Bearer [token]'],
+    [/\b(access_token|refresh_token|token|password|secret|code|state)=[^&\s"']+/gi, '$1=[redacted]'],
+];
+
+export const scrubText = (text) => SCRUB_PATTERNS
+    .reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), String(text))
+    .slice(0, MAX_STRING_LENGTH);
+
+const scrub = (value) => {
+    if (typeof value === 'string') return scrubText(value);
+    if (Array.isArray(value)) return value.map(scrub);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, scrub(item)]));
+    }
+    return value;
+};
+
+// "/admin/users/12/impersonate?x=1" -> "/admin/users/:id/impersonate", and a
+// long random segment such as a reset token -> ":token"
+export const scrubPath = (path = '') => path
+    .split(/[?#]/)[0]
+    .split('/')
+    .map((segment) => {
+        if (/^\d+$/.test(segment)) return ':id';
+        if (segment.length >= 16 && /^[\w-]+$/.test(segment) && /\d/.test(segment)) return ':token';
+        return scrubText(segment);
+    })
+    .join('/');
+
+const send = (events, { beacon = false } = {}) => {
+    const body = JSON.stringify({ session: sessionId, sentAt: new Date().toISOString(), events });
+    try {
+        // The page is going away; a beacon outlives it where fetch may not
+        if (beacon && navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'text/plain' }))) {
+            return;
+        }
+        fetch(endpoint, {
+            method: 'POST',
+            body,
+            headers: { 'Content-Type': 'text/plain' },
+            keepalive: true,
+        }).catch(() => {
+            // Telemetry must never become an error of its own
+        });
+    } catch {
+        // fetch throws outright for an unusable endpoint URL
+    }
+};
+
+export const flushTelemetry = (options) => {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    if (!enabled || queue.length === 0) return;
+    const events = queue;
+    queue = [];
+    send(events, options);
+};
+
+// Queue an event. `data` is scrubbed; `type` names the kind of event.
+export const trackEvent = (type, data = {}) => {
+    if (!enabled || queue.length >= MAX_QUEUE) return;
+    queue.push({
+        type,
+        at: new Date().toISOString(),
+        page: scrubPath(window.location.pathname),
+        ...scrub(data),
+    });
+
+    if (queue.length >= BATCH_SIZE) {
+        flushTelemetry();
+    } else if (!flushTimer) {
+        flushTimer = setTimeout(flushTelemetry, FLUSH_INTERVAL);
+    }
+};
+
+const describeError = (error) => ({
+    name: error?.name,
+    message: error?.message ?? String(error),
+    stack: error?.stack,
+});
+
+// `type` is "error" for uncaught errors and "crash" for a page an error
+// boundary had to replace
+export const trackError = (error, { type = 'error', ...extra } = {}) => {
+    trackEvent(type, { ...describeError(error), ...extra });
+};
+
+// Navigation and first-paint timings for the initial page load, in ms
+const trackPageLoad = () => {
+    const [navigation] = performance.getEntriesByType?.('navigation') ?? [];
+    if (!navigation) return;
+    const firstPaint = performance.getEntriesByName?.('first-contentful-paint')?.[0];
+
+    trackEvent('page_load', {
+        ttfb: Math.round(navigation.responseStart),
+        domContentLoaded: Math.round(navigation.domContentLoadedEventEnd),
+        load: Math.round(navigation.loadEventEnd),
+        firstContentfulPaint: firstPaint ? Math.round(firstPaint.startTime) : null,
+        transferSize: navigation.transferSize,
+    });
+};
+
+// Start collecting, once config.json has been read. Does nothing without an
+// endpoint or when this visit falls outside the sample.
+export const initTelemetry = () => {
+    const { telemetry } = getConfig();
+    if (enabled || !telemetry.endpoint || Math.random() >= telemetry.sampleRate) return;
+    enabled = true;
+    endpoint = telemetry.endpoint;
+
+    window.addEventListener('error', (event) => {
+        trackError(event.error ?? { message: event.message }, { source: event.filename });
+    });
+    window.addEventListener('unhandledrejection', (event) => {
+        trackError(event.reason, { unhandledRejection: true });
+    });
+
+    // loadEventEnd is only filled in after the load handlers have run
+    if (document.readyState === 'complete') {
+        setTimeout(trackPageLoad, 0);
+    } else {
+        window.addEventListener('load', () => setTimeout(trackPageLoad, 0), { once: true });
+    }
+
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushTelemetry({ beacon: true });
+    });
+};
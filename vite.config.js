@@ -1,7 +1,40 @@
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Files in public/ that belong to the app shell
+const SHELL_PUBLIC_FILES = [
+  'manifest.webmanifest',
+  'icon.svg',
+  'icon-192.png',
+  'icon-512.png',
+  'icon-maskable-512.png',
+  'apple-touch-icon.png',
+]
+
+// Builds src/sw.js into sw.js at the site root, with the list of files to
+// precache - the page, every built script and stylesheet, and the files
+// above - filled in. The version is a hash of those names, so any change to
+// the build yields a new worker. Not used by the dev server.
+const serviceWorker = () => ({
+  name: 'hfrat-service-worker',
+  apply: 'build',
+  generateBundle(_options, bundle) {
+    const assets = Object.keys(bundle).filter((fileName) => /\.(js|css)$/.test(fileName))
+    const files = ['', ...SHELL_PUBLIC_FILES, ...assets].sort()
+    const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+
+    const source = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf8')
+    this.emitFile({
+      type: 'asset',
+      fileName: 'sw.js',
+      source: source.replace('self.__PRECACHE_MANIFEST', JSON.stringify({ version, files })),
+    })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
 })